@@ -0,0 +1,41 @@
+// Posts Stripe webhook fixtures to a running server, signed with STRIPE_WEBHOOK_SECRET the way Stripe signs them.
+//   STRIPE_WEBHOOK_SECRET=whsec_test node scripts/send-stripe-fixture.js fixtures/stripe/charge.succeeded.json [...]
+// WEBHOOK_URL overrides the endpoint (default http://localhost:3000/api/webhooks/stripe); append ?company=<id or name>
+// to post into another company file. Sending a fixture twice shows the duplicate being recognised.
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { signWebhookPayload } = require('../src/stripe');
+
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+const url = new URL(process.env.WEBHOOK_URL || 'http://localhost:3000/api/webhooks/stripe');
+const files = process.argv.slice(2);
+
+function post(body) {
+    return new Promise((resolve, reject) => {
+        const req = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signWebhookPayload(body, secret) }
+        }, (res) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, text }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+(async () => {
+    if (!secret || !files.length) {
+        console.error('Usage: STRIPE_WEBHOOK_SECRET=<secret> node scripts/send-stripe-fixture.js <fixture.json> [...]');
+        process.exit(1);
+    }
+    for (const file of files) {
+        const { status, text } = await post(fs.readFileSync(file, 'utf8'));
+        console.log(`${file}: ${status} ${text}`);
+    }
+})().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
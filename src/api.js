@@ -1,32 +1,165 @@
 const express = require('express');
 const multer = require('multer');
-const { importFile } = require('./importer');
-const { generateBillsIif, generateItemsIif } = require('./exporter');
+const { importFile, detectImport, listImporters } = require('./importer');
+const { validateIif } = require('./validator');
+const { validateRule, applyAccountRules } = require('./rules');
+const { validateClassMapping } = require('./classes');
+const { validateTaxCode } = require('./tax');
+const { validateTerms, resolveTerms, dueDate, discountDate } = require('./terms');
+const { vendorMatchKey } = require('./vendors');
+const { validateItemMapping, loadItemResolver } = require('./items');
+const { validateExchangeRate, parseRatesCsv, applyHomeCurrency, currencyIssues } = require('./currency');
+const { verifyWebhookSignature, receiveStripeEvent, payoutIssues } = require('./stripe');
+const { headerFingerprint, validateProfile, applyProfile } = require('./profiles');
+const { parseCsv, parseBillsFromCsv } = require('./csv');
+const {
+    generateBillsIif, generateInvoicesIif, generateBillsQboCsv, generateInvoicesQboCsv, generateBankIif, generatePaymentsIif, generatePayoutsIif,
+    generateItemsIif, generateAccountsIif, generateVendorsIif, generateCustomersIif, generateClassesIif, generateTermsIif, classesInIif, bundleIif
+} = require('./exporter');
+
+// Output formats selectable on the bill/invoice exports; type is what exports.export_type records
+const EXPORT_FORMATS = {
+    iif: { ext: 'iif', type: 'IIF' },
+    qbo_csv: { ext: 'csv', type: 'QBO_CSV' }
+};
+
+// QuickBooks states (transactions.qb_status) a PO may be exported from in each mode. A billed PO is already in
+// QuickBooks, so a bill export only includes it again when reexport is sent.
+const EXPORTABLE_STATUSES = { bill: ['open', 'bill_pending'], item_receipt: ['open', 'received'] };
+
+// !CLASS list for the classes a generated document uses, or null when it uses none
+async function classListFor(db, iif) {
+    const names = classesInIif(iif);
+    return names.length ? generateClassesIif(db, names) : null;
+}
+
+// Adds currency conversion problems (see currency.js) to an IIF validation report
+function addCurrencyIssues(report, { errors, warnings }) {
+    report.general.errors.push(...errors);
+    report.general.warnings.push(...warnings);
+    report.errors += errors.length;
+    report.warnings += warnings.length;
+    report.valid = report.errors === 0;
+    return report;
+}
+
+// Downloads that went through anyway carry the currency problems in a header the UI shows after saving
+function setCurrencyHeader(res, { errors, warnings }) {
+    const messages = [...errors, ...warnings];
+    if (messages.length) res.setHeader('X-Currency-Warnings', encodeURIComponent(JSON.stringify(messages)));
+}
+
+// Pre-export validation for IIF downloads that carry no currency checks: validateOnly answers with the report and an
+// invalid file is refused with 422 unless override is sent. Returns whether the download may go ahead.
+async function passesValidation(req, res, iif) {
+    const { override = false, validateOnly = false } = req.body || {};
+    const report = await validateIif(req.db, iif);
+    if (validateOnly) {
+        res.json(report);
+        return false;
+    }
+    if (!report.valid && !override) {
+        res.status(422).json({ error: 'IIF validation failed; resend with override: true to export anyway', report });
+        return false;
+    }
+    return true;
+}
+
+// Sets req.db to the database scoped to the request's company: the X-Company header, ?company= or a "company"
+// field in a JSON body, each an id or a name. Requests without one use the default company.
+function companyContext(db) {
+    return async (req, res, next) => {
+        if (req.db) return next();
+        const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+        const ref = req.get('X-Company') || req.query.company || body.company;
+        if (!ref) {
+            req.db = db;
+            return next();
+        }
+        try {
+            const company = await db.findCompany(ref);
+            if (!company) return res.status(400).json({ error: `Unknown company: ${ref}` });
+            req.company = company;
+            req.db = db.forCompany(company.id);
+            next();
+        } catch (err) {
+            console.error('Error resolving company:', err);
+            res.status(500).json({ error: err.message });
+        }
+    };
+}
 
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
 
 function createApiRouter(db, stripe, stripeWebhookSecret) {
     const router = express.Router();
+    router.use(companyContext(db));
 
-    // Stripe webhook (optional if STRIPE_SECRET_KEY provided)
-    router.post('/webhooks/stripe', async (req, res) => {
-        if (!stripe || !stripeWebhookSecret) return res.status(501).send('Stripe not configured');
-        const sig = req.headers['stripe-signature'];
+    // Stripe webhook (requires STRIPE_WEBHOOK_SECRET). Events are logged in stripe_events and processed once per event
+    // ID; add ?company= to the endpoint URL in Stripe to post into a company other than the default.
+    router.post('/webhooks/stripe', express.raw({ type: '*/*' }), async (req, res) => {
+        if (!stripeWebhookSecret) return res.status(501).send('Stripe not configured');
         let event;
         try {
-            event = stripe.webhooks.constructEvent(req.body, sig, stripeWebhookSecret);
+            event = verifyWebhookSignature(req.body, req.headers['stripe-signature'], stripeWebhookSecret);
         } catch (err) {
             return res.status(400).send(`Webhook Error: ${err.message}`);
         }
         try {
-            // Placeholder: we can expand handling later
-            res.json({ received: true });
+            res.json({ received: true, ...(await receiveStripeEvent(req.db, event, { stripe })) });
         } catch (err) {
             console.error('Stripe webhook error:', err);
             res.status(500).json({ error: err.message });
         }
     });
 
+    // Webhook event log, newest first. Filters: type, status (received, processed, ignored, failed)
+    router.get('/stripe/events', async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
+            const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
+            res.json(await req.db.getStripeEvents({ type: req.query.type || null, status: req.query.status || null, limit, offset }));
+        } catch (err) {
+            console.error('Error getting Stripe events:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/stripe/events/:eventId', async (req, res) => {
+        try {
+            const event = await req.db.getStripeEvent(req.params.eventId);
+            if (!event) return res.status(404).json({ error: 'Not found' });
+            res.json(event);
+        } catch (err) {
+            console.error('Error getting Stripe event:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Processes a stored event again, e.g. one that failed or arrived before its company's accounts were set up
+    router.post('/stripe/events/:eventId/replay', async (req, res) => {
+        try {
+            const stored = await req.db.getStripeEvent(req.params.eventId);
+            if (!stored) return res.status(404).json({ error: 'Not found' });
+            res.json(await receiveStripeEvent(req.db, stored.payload, { replay: true, stripe }));
+        } catch (err) {
+            console.error('Error replaying Stripe event:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Stripe payouts by arrival date, each with line_count and lines_net (what its balance transactions add up to).
+    // Filters: from, to, payout (comma-separated payout ids)
+    router.get('/stripe/payouts', async (req, res) => {
+        try {
+            const payoutIds = req.query.payout ? String(req.query.payout).split(',').map(s => s.trim()).filter(Boolean) : [];
+            res.json(await req.db.getStripePayouts({ from: req.query.from || null, to: req.query.to || null, payoutIds }));
+        } catch (err) {
+            console.error('Error getting Stripe payouts:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
     // REST backfill from Stripe (simple version) — requires STRIPE_SECRET_KEY
     router.post('/import/stripe/backfill', async (req, res) => {
         try {
@@ -38,23 +171,40 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         }
     });
 
+    // Optional "type" forces one of the registered import sources instead of auto-detection
     router.post('/pick-file', upload.single('file'), async (req, res) => {
         try {
             if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
             const { buffer, originalname, mimetype } = req.file;
-            const result = await importFile(db, buffer.toString('utf-8'), originalname, mimetype);
+            const { type } = req.body || {};
+            const result = await importFile(req.db, buffer.toString('utf-8'), originalname || 'uploaded.csv', mimetype, { type });
             res.json(result);
         } catch (err) {
-            res.status(400).json({ error: err.message || String(err) });
+            res.status(400).json({ error: err.message || String(err), detectedType: err.detectedType, alternatives: err.alternatives });
         }
     });
 
     router.post('/drop-csv', async (req, res) => {
         try {
-            const { content, filename } = req.body || {};
+            const { content, filename, type } = req.body || {};
             if (!content) return res.status(400).json({ error: 'Missing CSV content' });
-            const result = await importFile(db, content, filename, 'text/csv');
+            const result = await importFile(req.db, content, filename || 'dropped.csv', 'text/csv', { type });
             res.json(result);
+        } catch (err) {
+            res.status(400).json({ error: err.message || String(err), detectedType: err.detectedType, alternatives: err.alternatives });
+        }
+    });
+
+    router.get('/import/sources', (req, res) => {
+        res.json(listImporters());
+    });
+
+    // Dry run: confidence of every registered source for a file, without importing it
+    router.post('/import/detect', async (req, res) => {
+        try {
+            const { content, filename } = req.body || {};
+            if (!content) return res.status(400).json({ error: 'Missing file content' });
+            res.json({ candidates: await detectImport(req.db, content, filename || 'dropped.csv', 'text/csv') });
         } catch (err) {
             res.status(400).json({ error: err.message || String(err) });
         }
@@ -63,7 +213,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
     router.post('/process-import', async (req, res) => {
         const { importId, bills } = req.body;
         try {
-            await db.processCsvImport(importId, bills);
+            await req.db.processCsvImport(importId, bills);
             res.json({ success: true });
         } catch (err) {
             console.error('Error processing import:', err);
@@ -71,25 +221,303 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         }
     });
 
+    // Export of the bills shown in the import preview; validated and marked exported like /export/bills-iif. Once
+    // saved (transactionIds sent) the bills are rebuilt from the database so POs already exported are left out.
     router.post('/export-iif', async (req, res) => {
-        const { bills, suggestedName = 'bills_output.iif', transactionIds = [] } = req.body;
-        const iif = await generateBillsIif(db, bills);
         try {
-            const totalAmount = bills.reduce((sum, bill) => sum + (Number(bill.total_amount) || 0), 0);
+            const { suggestedName = 'bills_output.iif', mode = 'bill' } = req.body;
+            if (!['bill', 'item_receipt'].includes(mode)) return res.status(400).json({ error: `Unknown export mode: ${mode}` });
+            let { bills, transactionIds = [] } = req.body;
             if (Array.isArray(transactionIds) && transactionIds.length) {
-                await db.recordExport(suggestedName, suggestedName, transactionIds, totalAmount);
+                const saved = await req.db.getBillsForExport({ transactionIds });
+                bills = saved.filter(b => EXPORTABLE_STATUSES[mode].includes(b.qb_status));
+                if (!bills.length) {
+                    return res.status(404).json({ error: `No bills left to export (${saved.length} skipped: already ${[...new Set(saved.map(b => b.qb_status))].join(', ')})` });
+                }
+                transactionIds = bills.map(b => b.id);
             }
+            const iif = await generateBillsIif(req.db, bills, { mode });
+            if (!(await passesValidation(req, res, iif))) return;
+            try {
+                const totalAmount = bills.reduce((sum, bill) => sum + (Number(bill.total_amount) || 0), 0);
+                if (Array.isArray(transactionIds) && transactionIds.length) {
+                    await req.db.recordExport(suggestedName, suggestedName, transactionIds, totalAmount, { notes: mode === 'item_receipt' ? 'Item receipts' : null });
+                    await req.db.markTransactionsExported(transactionIds, mode);
+                }
+            } catch (err) {
+                console.error('Error recording export:', err);
+            }
+            res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iif);
         } catch (err) {
-            console.error('Error recording export:', err);
+            console.error('Error exporting bills:', err);
+            res.status(500).json({ error: err.message });
         }
-        res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
-        res.setHeader('Content-type', 'text/plain');
-        res.send(iif);
     });
     
+    // Server-side bill export: rebuilds bills with their line items from the database.
+    // format: 'iif' (QuickBooks Desktop, default) or 'qbo_csv' (QuickBooks Online import spreadsheet)
+    // mode: 'bill' (default) or 'item_receipt' for POs received before the vendor invoice; item receipts must be
+    // converted (POST /transactions/:id/convert-to-bill) before a bill export will include them. reexport: true
+    // also writes POs already exported as bills, under their vendor invoice number and date when they have one.
+    router.post('/export/bills-iif', async (req, res) => {
+        try {
+            const { transactionIds = [], from = null, to = null, importId = null, status = null, includeLists = false, override = false, validateOnly = false, format = 'iif', mode = 'bill', reexport = false } = req.body || {};
+            if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: `Unknown export format: ${format}` });
+            if (!['bill', 'item_receipt'].includes(mode)) return res.status(400).json({ error: `Unknown export mode: ${mode}` });
+            if (mode === 'item_receipt' && format !== 'iif') return res.status(400).json({ error: 'Item receipts can only be exported as IIF' });
+            const suggestedName = (req.body && req.body.suggestedName) || `${mode === 'item_receipt' ? 'receipts' : 'bills'}_output.${EXPORT_FORMATS[format].ext}`;
+            if (!(Array.isArray(transactionIds) && transactionIds.length) && !from && !to && !importId && !status) {
+                return res.status(400).json({ error: 'Provide transactionIds, from/to, importId or status' });
+            }
+            const matched = await req.db.getBillsForExport({ transactionIds, from, to, importId, status });
+            const exportable = [...EXPORTABLE_STATUSES[mode], ...(reexport && mode === 'bill' ? ['billed'] : [])];
+            const bills = matched.filter(b => exportable.includes(b.qb_status));
+            if (!bills.length) {
+                const skipped = matched.length ? ` (${matched.length} skipped: already ${[...new Set(matched.map(b => b.qb_status))].join(', ')})` : '';
+                return res.status(404).json({ error: `No transactions matched the export filters${skipped}` });
+            }
+
+            if (format === 'qbo_csv') {
+                const csv = await generateBillsQboCsv(req.db, bills);
+                try {
+                    const totalAmount = bills.reduce((sum, bill) => sum + (Number(bill.total_amount) || 0), 0);
+                    await req.db.recordExport(suggestedName, suggestedName, bills.map(b => b.id), totalAmount, { exportType: EXPORT_FORMATS[format].type });
+                    await req.db.markTransactionsExported(bills.map(b => b.id), mode);
+                } catch (err) {
+                    console.error('Error recording export:', err);
+                }
+                res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+                res.setHeader('Content-type', 'text/csv');
+                return res.send(csv);
+            }
+
+            let iif = await generateBillsIif(req.db, bills, { mode });
+            if (includeLists) iif = bundleIif(await generateAccountsIif(req.db), await classListFor(req.db, iif), await generateTermsIif(req.db, bills.map(b => b.terms)), await generateVendorsIif(req.db, bills.map(b => b.vendor)), iif);
+            const report = await validateIif(req.db, iif);
+            if (validateOnly) return res.json(report);
+            if (!report.valid && !override) {
+                return res.status(422).json({ error: 'IIF validation failed; resend with override: true to export anyway', report });
+            }
+            try {
+                const totalAmount = bills.reduce((sum, bill) => sum + (Number(bill.total_amount) || 0), 0);
+                await req.db.recordExport(suggestedName, suggestedName, bills.map(b => b.id), totalAmount, { notes: mode === 'item_receipt' ? 'Item receipts' : null });
+                await req.db.markTransactionsExported(bills.map(b => b.id), mode);
+            } catch (err) {
+                console.error('Error recording export:', err);
+            }
+            res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iif);
+        } catch (err) {
+            console.error('Error exporting bills:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/item-receipts', async (req, res) => {
+        try {
+            const status = req.query.status ? String(req.query.status).split(',') : undefined;
+            res.json(await req.db.getItemReceipts({ status }));
+        } catch (err) {
+            console.error('Error getting item receipts:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Match an exported item receipt to the vendor invoice: { vendorInvoiceNumber, vendorInvoiceDate, dueDate, terms }
+    router.post('/transactions/:id/convert-to-bill', async (req, res) => {
+        try {
+            const txn = await req.db.convertReceiptToBill(parseInt(req.params.id, 10), req.body || {});
+            if (!txn) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true, transaction: txn });
+        } catch (err) {
+            console.error('Error converting item receipt:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Invoice export from imported HaloPSA invoices. Filters: from/to (invoice date), customer (id or name), status
+    router.post('/export/invoices-iif', async (req, res) => {
+        try {
+            const { from = null, to = null, customer = null, status = null, invoiceIds = [], includeLists = false, override = false, validateOnly = false, format = 'iif' } = req.body || {};
+            if (!EXPORT_FORMATS[format]) return res.status(400).json({ error: `Unknown export format: ${format}` });
+            const suggestedName = (req.body && req.body.suggestedName) || `invoices_output.${EXPORT_FORMATS[format].ext}`;
+            const invoices = await req.db.getInvoicesForExport({ from, to, customer, status, invoiceIds });
+            if (!invoices.length) return res.status(404).json({ error: 'No invoices matched the export filters' });
+            await applyHomeCurrency(req.db, invoices, 'invoice');
+            const currency = await currencyIssues(req.db, invoices, { label: 'invoice' });
+
+            if (format === 'qbo_csv') {
+                const csv = await generateInvoicesQboCsv(req.db, invoices);
+                try {
+                    const totalAmount = invoices.reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
+                    await req.db.recordExport(suggestedName, suggestedName, [], totalAmount, { exportType: EXPORT_FORMATS[format].type, documentCount: invoices.length, notes: 'Invoices' });
+                } catch (err) {
+                    console.error('Error recording export:', err);
+                }
+                setCurrencyHeader(res, currency);
+                res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+                res.setHeader('Content-type', 'text/csv');
+                return res.send(csv);
+            }
+
+            let iif = await generateInvoicesIif(req.db, invoices);
+            if (includeLists) iif = bundleIif(await generateAccountsIif(req.db), await classListFor(req.db, iif), await generateCustomersIif(req.db, invoices.map(i => i.customer_name)), iif);
+            const report = addCurrencyIssues(await validateIif(req.db, iif), currency);
+            if (validateOnly) return res.json(report);
+            if (!report.valid && !override) {
+                return res.status(422).json({ error: 'IIF validation failed; resend with override: true to export anyway', report });
+            }
+            try {
+                const totalAmount = invoices.reduce((sum, inv) => sum + (Number(inv.total) || 0), 0);
+                await req.db.recordExport(suggestedName, suggestedName, [], totalAmount, { documentCount: invoices.length, notes: 'Invoices' });
+            } catch (err) {
+                console.error('Error recording export:', err);
+            }
+            setCurrencyHeader(res, currency);
+            res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iif);
+        } catch (err) {
+            console.error('Error exporting invoices:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Bank transactions as DEPOSIT (positive) / CHECK (negative). Filters: from/to, source, ids; optional offsetAccount
+    router.post('/export/bank-iif', async (req, res) => {
+        try {
+            const { from = null, to = null, source = null, ids = [], offsetAccount = null, includeLists = false, override = false, validateOnly = false } = req.body || {};
+            const suggestedName = (req.body && req.body.suggestedName) || 'bank_output.iif';
+            const txns = await req.db.getBankTransactionsForExport({ from, to, source, ids });
+            if (!txns.length) return res.status(404).json({ error: 'No bank transactions matched the export filters' });
+            await applyHomeCurrency(req.db, txns, 'bank');
+            const currency = await currencyIssues(req.db, txns, { label: 'bank transaction', number: t => t.external_id || t.id });
+
+            let iif = await generateBankIif(req.db, txns, { offsetAccount });
+            if (includeLists) iif = bundleIif(await generateAccountsIif(req.db), await classListFor(req.db, iif),
+                await generateVendorsIif(req.db, txns.map(t => t.vendor_name).filter(Boolean)), iif);
+            const report = addCurrencyIssues(await validateIif(req.db, iif), currency);
+            if (validateOnly) return res.json(report);
+            if (!report.valid && !override) {
+                return res.status(422).json({ error: 'IIF validation failed; resend with override: true to export anyway', report });
+            }
+            try {
+                const totalAmount = txns.reduce((sum, t) => sum + (Number(t.amount) || 0), 0);
+                await req.db.recordExport(suggestedName, suggestedName, [], totalAmount, { documentCount: txns.length, notes: 'Deposits/Checks' });
+            } catch (err) {
+                console.error('Error recording export:', err);
+            }
+            setCurrencyHeader(res, currency);
+            res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iif);
+        } catch (err) {
+            console.error('Error exporting bank transactions:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Customer payments as PAYMENT transactions applied to their matched invoice. Optional depositAccount overrides Undeposited Funds
+    router.post('/export/payments-iif', async (req, res) => {
+        try {
+            const { from = null, to = null, source = null, ids = [], depositAccount = null, includeLists = false, override = false, validateOnly = false } = req.body || {};
+            const suggestedName = (req.body && req.body.suggestedName) || 'payments_output.iif';
+            const payments = await req.db.getPaymentsForExport({ from, to, source, ids });
+            if (!payments.length) return res.status(404).json({ error: 'No payments matched the export filters' });
+            await applyHomeCurrency(req.db, payments, 'payment');
+            const currency = await currencyIssues(req.db, payments, { label: 'payment', number: p => p.external_id || p.id });
+
+            let iif = await generatePaymentsIif(req.db, payments, { depositAccount });
+            if (includeLists) iif = bundleIif(await generateAccountsIif(req.db), await classListFor(req.db, iif), await generateCustomersIif(req.db, payments.map(p => p.customer_name)), iif);
+            const report = addCurrencyIssues(await validateIif(req.db, iif), currency);
+            if (validateOnly) return res.json(report);
+            if (!report.valid && !override) {
+                return res.status(422).json({ error: 'IIF validation failed; resend with override: true to export anyway', report });
+            }
+            try {
+                const totalAmount = payments.reduce((sum, p) => sum + (Number(p.amount_gross) || 0), 0);
+                await req.db.recordExport(suggestedName, suggestedName, [], totalAmount, { documentCount: payments.length, notes: 'Payments' });
+            } catch (err) {
+                console.error('Error recording export:', err);
+            }
+            setCurrencyHeader(res, currency);
+            res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iif);
+        } catch (err) {
+            console.error('Error exporting payments:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Stripe payouts as one DEPOSIT each (gross receipts, refunds and a Stripe-fee split). Filters: from, to (arrival
+    // date), payoutIds. Optional feeAccount overrides the stripe_fees default, receiptsAccount Undeposited Funds
+    router.post('/export/payouts-iif', async (req, res) => {
+        try {
+            const { from = null, to = null, payoutIds = [], feeAccount = null, receiptsAccount = null, includeLists = false, override = false, validateOnly = false } = req.body || {};
+            const suggestedName = (req.body && req.body.suggestedName) || 'payouts_output.iif';
+            const payouts = await req.db.getStripePayoutsForExport({ from, to, payoutIds });
+            if (!payouts.length) return res.status(404).json({ error: 'No Stripe payouts matched the export filters' });
+            const issues = payoutIssues(payouts);
+            await applyHomeCurrency(req.db, payouts, 'payout');
+            const currency = await currencyIssues(req.db, payouts, { label: 'payout', number: p => p.payout_id });
+            issues.errors.push(...currency.errors);
+            issues.warnings.push(...currency.warnings);
+
+            let iif = await generatePayoutsIif(req.db, payouts, { feeAccount, receiptsAccount });
+            if (includeLists) iif = bundleIif(await generateAccountsIif(req.db), await classListFor(req.db, iif),
+                await generateCustomersIif(req.db, payouts.flatMap(p => p.lines.map(l => l.customer_name)).filter(Boolean)), iif);
+            const report = addCurrencyIssues(await validateIif(req.db, iif), issues);
+            if (validateOnly) return res.json(report);
+            if (!report.valid && !override) {
+                return res.status(422).json({ error: 'IIF validation failed; resend with override: true to export anyway', report });
+            }
+            try {
+                const totalAmount = payouts.reduce((sum, p) => sum + (Number(p.payout_amount) || 0), 0);
+                await req.db.recordExport(suggestedName, suggestedName, [], totalAmount, { documentCount: payouts.length, notes: 'Stripe payouts' });
+            } catch (err) {
+                console.error('Error recording export:', err);
+            }
+            setCurrencyHeader(res, issues);
+            res.setHeader('Content-disposition', `attachment; filename=${suggestedName}`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iif);
+        } catch (err) {
+            console.error('Error exporting Stripe payouts:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Validate any IIF (e.g. one exported earlier or edited by hand) against the configured accounts
+    router.post('/export/validate-iif', async (req, res) => {
+        try {
+            const { content } = req.body || {};
+            if (!content) return res.status(400).json({ error: 'Missing IIF content' });
+            res.json(await validateIif(req.db, content));
+        } catch (err) {
+            console.error('Error validating IIF:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/bank-transactions/:id/category', async (req, res) => {
+        try {
+            const ok = await req.db.setBankTransactionCategory(parseInt(req.params.id, 10), (req.body || {}).category || null);
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error setting bank transaction category:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
     router.post('/export/qbd/items-iif', async (req, res) => {
         try {
-            const iifContent = await generateItemsIif(db);
+            const iifContent = await generateItemsIif(req.db);
+            if (!(await passesValidation(req, res, iifContent))) return;
             res.setHeader('Content-disposition', `attachment; filename=qbd_items.iif`);
             res.setHeader('Content-type', 'text/plain');
             res.send(iifContent);
@@ -98,9 +526,69 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         }
     });
 
+    router.post('/export/qbd/vendors-iif', async (req, res) => {
+        try {
+            const iifContent = await generateVendorsIif(req.db);
+            if (!(await passesValidation(req, res, iifContent))) return;
+            res.setHeader('Content-disposition', `attachment; filename=qbd_vendors.iif`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iifContent);
+        } catch(err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/export/qbd/customers-iif', async (req, res) => {
+        try {
+            const iifContent = await generateCustomersIif(req.db);
+            if (!(await passesValidation(req, res, iifContent))) return;
+            res.setHeader('Content-disposition', `attachment; filename=qbd_customers.iif`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iifContent);
+        } catch(err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/export/qbd/accounts-iif', async (req, res) => {
+        try {
+            const iifContent = await generateAccountsIif(req.db);
+            if (!(await passesValidation(req, res, iifContent))) return;
+            res.setHeader('Content-disposition', `attachment; filename=qbd_accounts.iif`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iifContent);
+        } catch(err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/export/qbd/classes-iif', async (req, res) => {
+        try {
+            const iifContent = await generateClassesIif(req.db);
+            if (!(await passesValidation(req, res, iifContent))) return;
+            res.setHeader('Content-disposition', `attachment; filename=qbd_classes.iif`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iifContent);
+        } catch(err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.post('/export/qbd/terms-iif', async (req, res) => {
+        try {
+            const iifContent = await generateTermsIif(req.db);
+            if (!(await passesValidation(req, res, iifContent))) return;
+            res.setHeader('Content-disposition', `attachment; filename=qbd_terms.iif`);
+            res.setHeader('Content-type', 'text/plain');
+            res.send(iifContent);
+        } catch(err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
     router.get('/dashboard-stats', async (req, res) => {
         try {
-            const stats = await db.getDashboardStats();
+            const stats = await req.db.getDashboardStats();
             res.json(stats);
         } catch (err) {
             console.error('Error getting dashboard stats:', err);
@@ -111,7 +599,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
     router.get('/recent-transactions', async (req, res) => {
         const hours = req.query.hours || 24;
         try {
-            const transactions = await db.getRecentTransactions(hours);
+            const transactions = await req.db.getRecentTransactions(hours);
             res.json(transactions);
         } catch (err) {
             console.error('Error getting recent transactions:', err);
@@ -121,7 +609,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.get('/all-transactions', async (req, res) => {
         try {
-            const transactions = await db.getAllTransactions();
+            const transactions = await req.db.getAllTransactions();
             res.json(transactions);
         } catch (err) {
             console.error('Error getting all transactions:', err);
@@ -131,7 +619,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.get('/inventory-summary', async (req, res) => {
         try {
-            const summary = await db.getInventorySummary();
+            const summary = await req.db.getInventorySummary();
             res.json(summary);
         } catch (err) {
             console.error('Error getting inventory summary:', err);
@@ -141,7 +629,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.get('/inventory-for-export', async (req, res) => {
         try {
-            const inventory = await db.getInventoryForExport();
+            const inventory = await req.db.getInventoryForExport();
             res.json(inventory);
         } catch (err) {
             console.error('Error getting inventory for export:', err);
@@ -150,7 +638,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
     });
     router.get('/import-history', async (req, res) => {
         try {
-            const history = await db.getImportHistory();
+            const history = await req.db.getImportHistory();
             res.json(history);
         } catch (err) {
             console.error('Error getting import history:', err);
@@ -160,7 +648,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.get('/export-history', async (req, res) => {
         try {
-            const history = await db.getExportHistory();
+            const history = await req.db.getExportHistory();
             res.json(history);
         } catch (err) {
             console.error('Error getting export history:', err);
@@ -172,7 +660,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         try {
             const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
             const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
-            const data = await db.getImportMetadata(limit, offset);
+            const data = await req.db.getImportMetadata(limit, offset);
             res.json(data);
         } catch (err) {
             console.error('Error getting imports metadata:', err);
@@ -182,7 +670,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.get('/imports-metadata/:id', async (req, res) => {
         try {
-            const meta = await db.getImportMetadataById(parseInt(req.params.id, 10));
+            const meta = await req.db.getImportMetadataById(parseInt(req.params.id, 10));
             if (!meta) return res.status(404).json({ error: 'Not found' });
             res.json(meta);
         } catch (err) {
@@ -195,7 +683,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         try {
             const limit = Math.min(parseInt(req.query.limit || '50', 10), 1000);
             const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
-            const records = await db.getImportRecords(parseInt(req.params.id, 10), limit, offset);
+            const records = await req.db.getImportRecords(parseInt(req.params.id, 10), limit, offset);
             res.json(records);
         } catch (err) {
             console.error('Error getting import records:', err);
@@ -207,8 +695,8 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         try {
             const limit = Math.min(parseInt(req.query.limit || '100', 10), 500);
             const offset = Math.max(parseInt(req.query.offset || '0', 10), 0);
-            const rows = await db.getLedgerTransactions(limit, offset);
-            res.json(rows);
+            const rows = await req.db.getLedgerTransactions(limit, offset);
+            res.json(await applyHomeCurrency(req.db, rows, 'ledger'));
         } catch (err) {
             console.error('Error getting ledger:', err);
             res.status(500).json({ error: err.message });
@@ -218,7 +706,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
     router.get('/item-transactions/:itemId', async (req, res) => {
         const { itemId } = req.params;
         try {
-            const transactions = await db.getItemTransactions(itemId);
+            const transactions = await req.db.getItemTransactions(itemId);
             res.json(transactions);
         } catch (err) {
             console.error('Error getting item transactions:', err);
@@ -228,7 +716,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.get('/qbd/accounts', async (req, res) => {
         try {
-            const rows = await db.getQbdAccounts();
+            const rows = await req.db.getQbdAccounts();
             res.json(rows);
         } catch (err) {
             console.error('Error getting QBD accounts:', err);
@@ -238,7 +726,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
 
     router.post('/qbd/accounts', async (req, res) => {
         try {
-            const id = await db.upsertQbdAccount(req.body || {});
+            const id = await req.db.upsertQbdAccount(req.body || {});
             res.json({ id });
         } catch (err) {
             console.error('Error upserting QBD account:', err);
@@ -250,7 +738,7 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         try {
             const { role, accountId } = req.body || {};
             if (!role || !accountId) return res.status(400).json({ error: 'Missing role or accountId' });
-            const ok = await db.setDefaultQbdAccount(role, Number(accountId));
+            const ok = await req.db.setDefaultQbdAccount(role, Number(accountId));
             res.json({ success: ok });
         } catch (err) {
             console.error('Error setting default QBD account:', err);
@@ -258,7 +746,479 @@ function createApiRouter(db, stripe, stripeWebhookSecret) {
         }
     });
 
+    router.get('/qbd/account-rules', async (req, res) => {
+        try {
+            res.json(await req.db.getAccountRules());
+        } catch (err) {
+            console.error('Error getting account rules:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { id?, match_field: item|item_group|asset_type|vendor|description, pattern, account, priority?, active?, notes? }
+    router.post('/qbd/account-rules', async (req, res) => {
+        try {
+            const rule = req.body || {};
+            validateRule(rule);
+            const id = await req.db.upsertAccountRule(rule);
+            if (!id) return res.status(404).json({ error: 'Not found' });
+            res.json({ id });
+        } catch (err) {
+            console.error('Error saving account rule:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/qbd/account-rules/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deleteAccountRule(parseInt(req.params.id, 10));
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting account rule:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Resolve the account for a sample line: { vendor, item, item_group, asset_type, description }
+    router.post('/qbd/account-rules/test', async (req, res) => {
+        try {
+            const { vendor = '', ...line } = req.body || {};
+            const [bill] = await applyAccountRules(req.db, [{ vendor, lines: [line] }]);
+            res.json({ account: bill.lines[0].account, rule_id: bill.lines[0].account_rule_id });
+        } catch (err) {
+            console.error('Error testing account rules:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/qbd/class-mappings', async (req, res) => {
+        try {
+            res.json(await req.db.getClassMappings());
+        } catch (err) {
+            console.error('Error getting class mappings:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { id?, match_field, match_value ('*' for any), class_name? (empty: use the matched value), priority?, active? }
+    router.post('/qbd/class-mappings', async (req, res) => {
+        try {
+            const mapping = req.body || {};
+            validateClassMapping(mapping);
+            const id = await req.db.upsertClassMapping(mapping);
+            if (!id) return res.status(404).json({ error: 'Not found' });
+            res.json({ id });
+        } catch (err) {
+            console.error('Error saving class mapping:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/qbd/class-mappings/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deleteClassMapping(parseInt(req.params.id, 10));
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting class mapping:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/qbd/tax-codes', async (req, res) => {
+        try {
+            res.json(await req.db.getTaxCodes());
+        } catch (err) {
+            console.error('Error getting tax codes:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { code, description?, rate (percent), account? (empty: purchase_tax default), active? }
+    router.post('/qbd/tax-codes', async (req, res) => {
+        try {
+            const taxCode = req.body || {};
+            validateTaxCode(taxCode);
+            const id = await req.db.upsertTaxCode(taxCode);
+            res.json({ id });
+        } catch (err) {
+            console.error('Error saving tax code:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/qbd/tax-codes/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deleteTaxCode(parseInt(req.params.id, 10));
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting tax code:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/qbd/item-mappings', async (req, res) => {
+        try {
+            res.json(await req.db.getItemMappings());
+        } catch (err) {
+            console.error('Error getting item mappings:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { source_item ("*" wildcard), qb_item, active?, notes? }; saving an existing source item replaces it
+    router.post('/qbd/item-mappings', async (req, res) => {
+        try {
+            const mapping = req.body || {};
+            validateItemMapping(mapping);
+            res.json({ id: await req.db.upsertItemMapping(mapping) });
+        } catch (err) {
+            console.error('Error saving item mapping:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/qbd/item-mappings/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deleteItemMapping(parseInt(req.params.id, 10));
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting item mapping:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Source items on stored PO lines that no mapping or QuickBooks item covers yet, most used first
+    router.get('/qbd/item-mappings/unmapped', async (req, res) => {
+        try {
+            const resolveItem = await loadItemResolver(req.db);
+            res.json((await req.db.getSourceItems()).filter(i => !resolveItem(i.source_item).mapped));
+        } catch (err) {
+            console.error('Error getting unmapped items:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Resolve a sample item: { item }
+    router.post('/qbd/item-mappings/test', async (req, res) => {
+        try {
+            const { item = '' } = req.body || {};
+            const resolveItem = await loadItemResolver(req.db);
+            res.json(resolveItem(item));
+        } catch (err) {
+            console.error('Error testing item mappings:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.get('/qbd/terms', async (req, res) => {
+        try {
+            res.json(await req.db.getPaymentTerms());
+        } catch (err) {
+            console.error('Error getting payment terms:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { name, rule_type (net|day_of_month|eom|due_on_receipt), days?, discount_percent?, discount_days?, active? }
+    router.post('/qbd/terms', async (req, res) => {
+        try {
+            const terms = req.body || {};
+            validateTerms(terms);
+            const id = await req.db.upsertPaymentTerms(terms);
+            res.json({ id });
+        } catch (err) {
+            console.error('Error saving payment terms:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/qbd/terms/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deletePaymentTerms(parseInt(req.params.id, 10));
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting payment terms:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { terms, date (MM/DD/YYYY) } -> the rule used and the resulting due and discount dates
+    router.post('/qbd/terms/test', async (req, res) => {
+        try {
+            const { terms, date } = req.body || {};
+            const rule = resolveTerms(await req.db.getPaymentTerms({ activeOnly: true }), terms);
+            if (!rule) return res.json({ terms, recognized: false, due_date: date || null });
+            res.json({ terms, recognized: true, rule, due_date: dueDate(rule, date), discount_date: discountDate(rule, date) });
+        } catch (err) {
+            console.error('Error testing payment terms:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.get('/qbd/vendor-terms', async (req, res) => {
+        try {
+            res.json(await req.db.getVendorTerms());
+        } catch (err) {
+            console.error('Error getting vendor terms:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { vendor, terms } sets the default used when a PO file has no Terms column; empty terms clears it
+    router.post('/qbd/vendor-terms', async (req, res) => {
+        try {
+            const { vendor, terms = null } = req.body || {};
+            if (!vendor) return res.status(400).json({ error: 'vendor is required' });
+            await req.db.setVendorTerms(vendor, terms);
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error saving vendor terms:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Company files; pass one as X-Company (or ?company=) on any other endpoint to work in its books
+    router.get('/companies', async (req, res) => {
+        try {
+            res.json(await req.db.getCompanies());
+        } catch (err) {
+            console.error('Error getting companies:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { id?, name, qb_file?, home_currency?, multi_currency? } creates a company, or updates it when id is given.
+    // multi_currency records whether the QuickBooks company file has multi-currency turned on.
+    router.post('/companies', async (req, res) => {
+        try {
+            const { id = null, name, qb_file = null, home_currency = null, multi_currency = null } = req.body || {};
+            if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
+            const company = await req.db.upsertCompany({ id, name: String(name).trim(), qb_file, home_currency, multi_currency });
+            if (!company) return res.status(404).json({ error: 'Not found' });
+            res.json(company);
+        } catch (err) {
+            console.error('Error saving company:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Exchange rates of the current company, newest first per currency. Optional ?currency=EUR
+    router.get('/exchange-rates', async (req, res) => {
+        try {
+            res.json(await req.db.getExchangeRates({ currency: req.query.currency || null }));
+        } catch (err) {
+            console.error('Error getting exchange rates:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { currency, rate_date, rate } or { rates: [...] }, rate being home-currency units per unit of currency;
+    // or { content } with a rates CSV (Date, Currency, Rate columns)
+    router.post('/exchange-rates', async (req, res) => {
+        try {
+            const body = req.body || {};
+            const home = await req.db.getHomeCurrency();
+            if (body.content) {
+                const { rates, skipped } = parseRatesCsv(parseCsv(body.content), home);
+                const result = await req.db.upsertExchangeRates(rates, body.filename || 'CSV');
+                return res.json({ imported: result.count, skipped });
+            }
+            const rates = Array.isArray(body.rates) ? body.rates : [body];
+            rates.forEach(validateExchangeRate);
+            if (rates.some(r => String(r.currency).trim().toUpperCase() === home)) {
+                return res.status(400).json({ error: `${home} is the home currency and needs no rate` });
+            }
+            const result = await req.db.upsertExchangeRates(rates, body.source || 'manual');
+            res.json({ imported: result.count });
+        } catch (err) {
+            console.error('Error saving exchange rates:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/exchange-rates/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deleteExchangeRate(req.params.id);
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting exchange rate:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Vendor master: canonical QuickBooks names with the aliases that resolve to them
+    router.get('/vendors', async (req, res) => {
+        try {
+            res.json(await req.db.getVendorMaster());
+        } catch (err) {
+            console.error('Error getting vendors:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Dry run: { names: [...] } -> the vendor each name would resolve to, or null when it would create a new one
+    router.post('/vendors/resolve', async (req, res) => {
+        try {
+            const { names = [] } = req.body || {};
+            if (!Array.isArray(names)) return res.status(400).json({ error: 'names must be an array' });
+            const known = await req.db.lookupVendors(names);
+            res.json(names.map(name => ({ name, match_key: vendorMatchKey(name), vendor: known.get(name) || null })));
+        } catch (err) {
+            console.error('Error resolving vendors:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { targetId, sourceIds: [...] } folds the source vendors, their aliases and bills into the target
+    router.post('/vendors/merge', async (req, res) => {
+        try {
+            const { targetId, sourceIds = [] } = req.body || {};
+            if (!targetId) return res.status(400).json({ error: 'targetId is required' });
+            res.json(await req.db.mergeVendors(Number(targetId), Array.isArray(sourceIds) ? sourceIds : [sourceIds]));
+        } catch (err) {
+            console.error('Error merging vendors:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Bank and card accounts seen in statement files, with their latest statement's end date and ledger balance
+    router.get('/bank-accounts', async (req, res) => {
+        try {
+            res.json(await req.db.getBankAccounts());
+        } catch (err) {
+            console.error('Error getting bank accounts:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { name?, qb_account? } names the account and sets the QuickBooks bank account its lines export to
+    router.post('/bank-accounts/:id', async (req, res) => {
+        try {
+            const { name, qb_account } = req.body || {};
+            const account = await req.db.updateBankAccount(Number(req.params.id), { name, qb_account });
+            if (!account) return res.status(404).json({ error: 'Not found' });
+            res.json(account);
+        } catch (err) {
+            console.error('Error updating bank account:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Imported statements (period, ledger and available balance), newest first. Filter: bank_account_id
+    router.get('/bank-statements', async (req, res) => {
+        try {
+            res.json(await req.db.getBankStatements({ bankAccountId: req.query.bank_account_id || null }));
+        } catch (err) {
+            console.error('Error getting bank statements:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { qb_name } sets the name used on export; existing bills for the vendor are renamed too
+    router.post('/vendors/:id', async (req, res) => {
+        try {
+            const { qb_name } = req.body || {};
+            if (!qb_name || !String(qb_name).trim()) return res.status(400).json({ error: 'qb_name is required' });
+            res.json(await req.db.renameVendor(Number(req.params.id), String(qb_name).trim()));
+        } catch (err) {
+            console.error('Error renaming vendor:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Body: { alias } makes another spelling resolve to this vendor
+    router.post('/vendors/:id/aliases', async (req, res) => {
+        try {
+            const { alias } = req.body || {};
+            res.json(await req.db.addVendorAlias(Number(req.params.id), alias));
+        } catch (err) {
+            console.error('Error adding vendor alias:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.get('/column-profiles', async (req, res) => {
+        try {
+            res.json(await req.db.getColumnProfiles());
+        } catch (err) {
+            console.error('Error getting column profiles:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Body: { name, headers: [...] or sample: "<csv text>", mapping: { vendor: "Supplier", ref: "Supplier Ref", ... },
+    // transforms?: { cost: ["number"], date: ["date:DD/MM/YYYY"] } }. Saving under an existing name replaces it.
+    router.post('/column-profiles', async (req, res) => {
+        try {
+            const { name, target_type = 'po_bills', headers = null, sample = null, mapping = {}, transforms = {} } = req.body || {};
+            if (target_type !== 'po_bills') return res.status(400).json({ error: 'Only po_bills profiles are supported' });
+            validateProfile({ name, mapping, transforms });
+            const sourceHeaders = Array.isArray(headers) && headers.length ? headers
+                : sample ? Object.keys(parseCsv(sample)[0] || {}) : [];
+            if (!sourceHeaders.length) return res.status(400).json({ error: 'Provide headers or a sample CSV' });
+            const unknown = Object.values(mapping).filter(h => !sourceHeaders.includes(h));
+            if (unknown.length) return res.status(400).json({ error: `Mapped headers not in the file: ${unknown.join(', ')}` });
+            const profile = await req.db.saveColumnProfile({ name, target_type, header_fingerprint: headerFingerprint(sourceHeaders), headers: sourceHeaders, mapping, transforms });
+            res.json(profile);
+        } catch (err) {
+            console.error('Error saving column profile:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Dry run against CSV text: { content, id } tests a saved profile, { content, profile: {...} } an unsaved one
+    router.post('/column-profiles/test', async (req, res) => {
+        try {
+            const { content, id = null } = req.body || {};
+            if (!content) return res.status(400).json({ error: 'Missing CSV content' });
+            const profile = id ? await req.db.getColumnProfile(Number(id)) : (req.body || {}).profile;
+            if (!profile) return res.status(404).json({ error: 'Profile not found' });
+            validateProfile(profile);
+
+            const rows = parseCsv(content);
+            const headers = rows.length ? Object.keys(rows[0]) : [];
+            const fingerprint = headerFingerprint(headers);
+            const autoApplied = rows.length ? await req.db.getColumnProfileByFingerprint(fingerprint) : null;
+            const mapped = applyProfile(profile, rows);
+            const result = {
+                fingerprint,
+                fingerprint_matches: !!profile.header_fingerprint && profile.header_fingerprint === fingerprint,
+                auto_applied_profile: autoApplied ? autoApplied.name : null,
+                missing_headers: Object.values(profile.mapping || {}).filter(h => !headers.includes(h)),
+                sample: mapped.slice(0, 5)
+            };
+            try {
+                const bills = parseBillsFromCsv(mapped);
+                result.bill_count = bills.length;
+                result.bills = bills.slice(0, 5);
+            } catch (err) {
+                result.error = err.message;
+            }
+            res.json(result);
+        } catch (err) {
+            console.error('Error testing column profile:', err);
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/column-profiles/:id', async (req, res) => {
+        try {
+            const ok = await req.db.deleteColumnProfile(parseInt(req.params.id, 10));
+            if (!ok) return res.status(404).json({ error: 'Not found' });
+            res.json({ success: true });
+        } catch (err) {
+            console.error('Error deleting column profile:', err);
+            res.status(500).json({ error: err.message });
+        }
+    });
+
     return router;
 }
 
-module.exports = { createApiRouter };
+module.exports = { createApiRouter, companyContext };
@@ -0,0 +1,136 @@
+// Reader for BAI2 (Cash Management Balance Reporting Specification, version 2) prior-day and current-day reports.
+// Records are comma-separated and end in "/": 01 file header, 02 group header (the reporting bank and as-of date),
+// 03 account with its balance and summary amounts, 16 transaction detail, 88 continuation of the record before it,
+// 49/98/99 trailers. Amounts carry no decimal point (12345 = 123.45).
+
+// BAI type codes: 010-099 are balances, 100-399 credits, 400-699 debits, 700-799 loan details, 900-919 customer-
+// defined credits and 920-999 customer-defined debits
+function typeCodeDirection(code) {
+    const n = Number(code);
+    if ((n >= 100 && n < 400) || (n >= 900 && n < 920)) return 'credit';
+    if ((n >= 400 && n < 700) || (n >= 920 && n < 1000)) return 'debit';
+    return null;
+}
+
+// Descriptions for the detail codes commercial banks use most; others are described as credit/debit by range
+const TYPE_CODES = {
+    '108': 'Credit', '115': 'Lockbox Deposit', '142': 'ACH Credit Received', '165': 'Preauthorized ACH Credit',
+    '169': 'Miscellaneous ACH Credit', '175': 'Check Deposit Package', '195': 'Incoming Money Transfer',
+    '201': 'Incoming Internal Money Transfer', '206': 'Book Transfer Credit', '208': 'International Money Transfer Credit',
+    '301': 'Commercial Deposit', '354': 'Interest Credit', '399': 'Miscellaneous Credit',
+    '451': 'ACH Debit Received', '455': 'Preauthorized ACH Debit', '469': 'Miscellaneous ACH Debit', '475': 'Check Paid',
+    '495': 'Outgoing Money Transfer', '501': 'Outgoing Internal Money Transfer', '506': 'Book Transfer Debit',
+    '508': 'International Money Transfer Debit', '555': 'Deposited Item Returned', '698': 'Miscellaneous Fee',
+    '699': 'Miscellaneous Debit'
+};
+
+const BALANCE_CODES = { '010': 'opening_ledger', '015': 'closing_ledger', '040': 'opening_available', '045': 'closing_available' };
+
+function looksLikeBai2(content, filename = '') {
+    if (/\.bai2?$/i.test(filename || '')) return true;
+    const first = String(content || '').replace(/^\uFEFF/, '').trimStart().split(/\r?\n/, 1)[0] || '';
+    return /^01,[^,]*,[^,]*,\d{6},\d{4},/.test(first);
+}
+
+// YYMMDD as YYYY-MM-DD
+function baiDate(value) {
+    const m = /^(\d{2})(\d{2})(\d{2})$/.exec(String(value || '').trim());
+    return m ? `20${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function baiAmount(value) {
+    const v = String(value || '').trim();
+    return /^[+-]?\d+$/.test(v) ? Number(v) / 100 : null;
+}
+
+// Fields that follow a funds type before the next field: V has a value date and time, S three availability
+// amounts, D a count then that many day/amount pairs
+function fundsTypeFields(fields, i) {
+    const type = String(fields[i] || '').trim().toUpperCase();
+    if (type === 'V') return 2;
+    if (type === 'S') return 3;
+    if (type === 'D') return 1 + 2 * (Number(fields[i + 1]) || 0);
+    return 0;
+}
+
+// Physical lines joined into logical records: 88 continues the previous record (text of a 16 record continues with a
+// space), and the trailing "/" is dropped
+function logicalRecords(content) {
+    const records = [];
+    for (const raw of String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+        if (line.startsWith('88,') && records.length) {
+            const prev = records[records.length - 1];
+            prev.text = `${prev.text.replace(/\/$/, '')}${prev.code === '16' ? ' ' : ','}${line.slice(3)}`;
+            continue;
+        }
+        records.push({ code: line.slice(0, 2), text: line });
+    }
+    return records.map(r => ({ code: r.code, text: r.text.replace(/\/$/, '') }));
+}
+
+function parseDetail(text, asOfDate) {
+    const fields = text.split(',');
+    const typeCode = fields[1];
+    let i = 3;
+    const valueDate = String(fields[i] || '').trim().toUpperCase() === 'V' ? baiDate(fields[i + 1]) : null;
+    i += 1 + fundsTypeFields(fields, i);
+    const direction = typeCodeDirection(typeCode);
+    const amount = baiAmount(fields[2]);
+    return {
+        type_code: typeCode,
+        type: TYPE_CODES[typeCode] || (direction === 'credit' ? 'Credit' : direction === 'debit' ? 'Debit' : `Type ${typeCode}`),
+        direction,
+        amount: amount == null || !direction ? amount : (direction === 'debit' ? -Math.abs(amount) : Math.abs(amount)),
+        date: valueDate || asOfDate,
+        bank_reference: (fields[i] || '').trim() || null,
+        customer_reference: (fields[i + 1] || '').trim() || null,
+        text: fields.slice(i + 2).join(',').trim() || null
+    };
+}
+
+// Returns { header: { sender, receiver, created, file_id }, accounts }, one account per 03 record:
+// { bank_id, account_number, currency, as_of_date, balances: { opening_ledger, closing_ledger, opening_available,
+//   closing_available }, transactions: [{ type_code, type, direction, amount (signed), date, bank_reference,
+//   customer_reference, text }] }
+function parseBai2(content) {
+    const records = logicalRecords(content);
+    if (!records.length || records[0].code !== '01') throw new Error('Not a BAI2 file: the first record must be a 01 file header');
+    const h = records[0].text.split(',');
+    const header = { sender: h[1] || null, receiver: h[2] || null, created: baiDate(h[3]), file_id: h[5] || null };
+    const accounts = [];
+    let group = null;
+    let account = null;
+    for (const r of records) {
+        const fields = r.text.split(',');
+        if (r.code === '02') {
+            group = { originator: (fields[2] || '').trim() || null, as_of_date: baiDate(fields[4]), currency: (fields[6] || '').trim() || null };
+        } else if (r.code === '03') {
+            account = {
+                bank_id: group ? group.originator : null,
+                account_number: (fields[1] || '').trim(),
+                currency: (fields[2] || '').trim() || (group && group.currency) || null,
+                as_of_date: group ? group.as_of_date : null,
+                balances: {},
+                transactions: []
+            };
+            // Repeating type code, amount, item count, funds type (and its extra fields)
+            for (let i = 3; i < fields.length;) {
+                const code = (fields[i] || '').trim();
+                const amount = baiAmount(fields[i + 1]);
+                if (BALANCE_CODES[code] && amount != null) account.balances[BALANCE_CODES[code]] = amount;
+                i += 4 + fundsTypeFields(fields, i + 3);
+            }
+            accounts.push(account);
+        } else if (r.code === '16') {
+            if (!account) throw new Error('BAI2 transaction detail (16) before any account (03) record');
+            account.transactions.push(parseDetail(r.text, account.as_of_date));
+        } else if (r.code === '49') {
+            account = null;
+        }
+    }
+    return { header, accounts };
+}
+
+module.exports = { looksLikeBai2, parseBai2, typeCodeDirection };
@@ -0,0 +1,146 @@
+// Reader for ISO 20022 CAMT.053 (BankToCustomerStatement) end-of-day statements. Each <Stmt> is one account's
+// statement: <Acct> identifies the account, <Bal> holds opening/closing balances and every <Ntry> is a booked entry
+// whose <CdtDbtInd> (CRDT/DBIT) gives its direction. Read with a small element scanner, like the OFX reader, so no
+// XML library is needed; namespace prefixes are dropped.
+
+function looksLikeCamt053(content) {
+    const head = String(content || '').replace(/^\uFEFF/, '').trimStart().slice(0, 4096);
+    if (!head.startsWith('<')) return false;
+    return /camt\.053\./.test(head) || /<(\w+:)?BkToCstmrStmt[\s>]/.test(head);
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (m, e) => {
+        if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+        return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+    });
+}
+
+// Element tree: { tag, attrs, text, children }
+function parseXml(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '').replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (m, data) => data.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+    const root = { tag: 'ROOT', attrs: {}, text: '', children: [] };
+    const stack = [root];
+    const re = /<(\/?)(?:[\w.-]+:)?([\w.-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>([^<]*)/g;
+    let m;
+    while ((m = re.exec(text))) {
+        const [, closing, tag, rawAttrs, selfClosing, after] = m;
+        const parent = stack[stack.length - 1];
+        if (closing) {
+            if (stack.length > 1 && parent.tag === tag) stack.pop();
+            if (stack.length) stack[stack.length - 1].text += decodeEntities(after).trim();
+            continue;
+        }
+        const attrs = {};
+        for (const a of rawAttrs.matchAll(/([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[a[1].replace(/^[\w.-]+:/, '')] = decodeEntities(a[2] != null ? a[2] : a[3]);
+        const node = { tag, attrs, text: selfClosing ? '' : decodeEntities(after).trim(), children: [] };
+        parent.children.push(node);
+        if (!selfClosing) stack.push(node);
+    }
+    return root;
+}
+
+function find(node, path) {
+    let current = node;
+    for (const tag of path.split('.')) {
+        current = current && current.children.find(c => c.tag === tag);
+        if (!current) return null;
+    }
+    return current;
+}
+
+const children = (node, tag) => (node ? node.children.filter(c => c.tag === tag) : []);
+
+const valueOf = (node, path) => {
+    const n = node && find(node, path);
+    return n && n.text ? n.text : null;
+};
+
+// ISO date or datetime as YYYY-MM-DD
+const isoDate = (value) => (/^\d{4}-\d{2}-\d{2}/.exec(String(value || '')) || [null])[0];
+
+// Amount and currency of an <Amt Ccy=".."> (or other amount element), signed by a sibling CdtDbtInd
+function signedAmount(node, amountPath = 'Amt') {
+    const amt = node && find(node, amountPath);
+    if (!amt || !amt.text) return { amount: null, currency: null };
+    const n = Number(amt.text);
+    return { amount: valueOf(node, 'CdtDbtInd') === 'DBIT' ? -n : n, currency: amt.attrs.Ccy || null };
+}
+
+// Balance type codes kept for the statement: opening booked (or the previous closing), closing booked, and closing
+// (or interim) available
+const BALANCE_TYPES = { OPBD: 'opening_booked', PRCD: 'opening_booked', CLBD: 'closing_booked', CLAV: 'closing_available', ITAV: 'closing_available' };
+
+// Counterparty of an entry: the creditor on a debit (who was paid), the debtor on a credit (who paid)
+function counterparty(tx, debit) {
+    const party = find(tx, debit ? 'RltdPties.Cdtr' : 'RltdPties.Dbtr');
+    return party ? valueOf(party, 'Nm') || valueOf(party, 'Pty.Nm') : null;
+}
+
+function parseEntry(ntry) {
+    const { amount, currency } = signedAmount(ntry);
+    const debit = valueOf(ntry, 'CdtDbtInd') === 'DBIT';
+    // CdtDbtInd already gives the direction of a reversal entry itself; RvslInd only marks it as one. The related
+    // parties stay those of the original entry, so its counterparty is read the original way round.
+    const reversal = valueOf(ntry, 'RvslInd') === 'true';
+    const tx = find(ntry, 'NtryDtls.TxDtls');
+    const domain = find(ntry, 'BkTxCd.Domn');
+    return {
+        entry_reference: valueOf(ntry, 'NtryRef'),
+        bank_reference: valueOf(ntry, 'AcctSvcrRef') || (tx && (valueOf(tx, 'Refs.AcctSvcrRef') || valueOf(tx, 'Refs.TxId'))),
+        end_to_end_id: tx ? valueOf(tx, 'Refs.EndToEndId') : null,
+        amount,
+        currency,
+        direction: debit ? 'debit' : 'credit',
+        reversal,
+        status: valueOf(ntry, 'Sts.Cd') || valueOf(ntry, 'Sts'),
+        booking_date: isoDate(valueOf(ntry, 'BookgDt.Dt') || valueOf(ntry, 'BookgDt.DtTm')),
+        value_date: isoDate(valueOf(ntry, 'ValDt.Dt') || valueOf(ntry, 'ValDt.DtTm')),
+        bank_transaction_code: domain
+            ? [valueOf(domain, 'Cd'), valueOf(domain, 'Fmly.Cd'), valueOf(domain, 'Fmly.SubFmlyCd')].filter(Boolean).join('/')
+            : valueOf(ntry, 'BkTxCd.Prtry.Cd'),
+        counterparty: tx ? counterparty(tx, debit !== reversal) : null,
+        remittance: tx ? children(find(tx, 'RmtInf'), 'Ustrd').map(u => u.text).filter(Boolean).join(' ') || null : null,
+        info: valueOf(ntry, 'AddtlNtryInf') || (tx ? valueOf(tx, 'AddtlTxInf') : null)
+    };
+}
+
+// Returns { message_id, created, statements }, each statement
+// { id, account: { iban, number, bic, currency, name }, period: { start, end }, balances: { opening_booked,
+//   closing_booked, closing_available: { amount, date } }, entries }
+function parseCamt053(content) {
+    const tree = parseXml(content);
+    const doc = find(tree, 'Document.BkToCstmrStmt') || find(tree, 'BkToCstmrStmt');
+    if (!doc) throw new Error('Not a CAMT.053 statement: no BkToCstmrStmt element');
+    const statements = children(doc, 'Stmt').map((stmt) => {
+        const acct = find(stmt, 'Acct');
+        const balances = {};
+        for (const bal of children(stmt, 'Bal')) {
+            const type = BALANCE_TYPES[valueOf(bal, 'Tp.CdOrPrtry.Cd')];
+            if (!type || balances[type]) continue;
+            balances[type] = { ...signedAmount(bal), date: isoDate(valueOf(bal, 'Dt.Dt') || valueOf(bal, 'Dt.DtTm')) };
+        }
+        const entries = children(stmt, 'Ntry').map(parseEntry);
+        const dates = entries.map(e => e.booking_date).filter(Boolean).sort();
+        return {
+            id: valueOf(stmt, 'Id'),
+            account: {
+                iban: valueOf(acct, 'Id.IBAN'),
+                number: valueOf(acct, 'Id.IBAN') || valueOf(acct, 'Id.Othr.Id'),
+                bic: valueOf(acct, 'Svcr.FinInstnId.BICFI') || valueOf(acct, 'Svcr.FinInstnId.BIC'),
+                currency: valueOf(acct, 'Ccy'),
+                name: valueOf(acct, 'Nm')
+            },
+            period: {
+                start: isoDate(valueOf(stmt, 'FrToDt.FrDtTm')) || dates[0] || null,
+                end: isoDate(valueOf(stmt, 'FrToDt.ToDtTm')) || dates[dates.length - 1] || null
+            },
+            balances,
+            entries
+        };
+    });
+    return { message_id: valueOf(doc, 'GrpHdr.MsgId'), created: valueOf(doc, 'GrpHdr.CreDtTm'), statements };
+}
+
+module.exports = { looksLikeCamt053, parseCamt053 };
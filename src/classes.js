@@ -0,0 +1,40 @@
+// QuickBooks CLASS assignment. A line keeps the class given in its source CSV ("Class" column); otherwise the
+// class_mappings table is consulted in priority order. A mapping matches one field of the line's context
+// (location, client, customer, vendor, item, item_group, source, category) by case-insensitive value, or "*"
+// for any non-empty value. When class_name is empty the matched value itself is the class, which is how
+// "class per client" or "class per site" is configured without listing every client.
+
+const CLASS_FIELDS = ['location', 'client', 'customer', 'vendor', 'item', 'item_group', 'source', 'category'];
+
+function validateClassMapping(mapping) {
+    if (!CLASS_FIELDS.includes(mapping.match_field)) {
+        throw new Error(`match_field must be one of: ${CLASS_FIELDS.join(', ')}`);
+    }
+    if (!mapping.match_value) throw new Error('match_value is required');
+}
+
+function resolveClass(mappings, ctx) {
+    if (ctx.class) return String(ctx.class);
+    for (const m of mappings || []) {
+        const value = ctx[m.match_field];
+        if (!value) continue;
+        if (m.match_value !== '*' && String(m.match_value).toLowerCase() !== String(value).toLowerCase()) continue;
+        return m.class_name || String(value);
+    }
+    return '';
+}
+
+// Loads the active mappings once per export and returns a resolver for line contexts
+async function loadClassResolver(db) {
+    const mappings = (await db.getClassMappings?.({ activeOnly: true })) || [];
+    return (ctx) => resolveClass(mappings, ctx || {});
+}
+
+// TRNS class: the class shared by every split, else whatever the document-level context resolves to
+function documentClass(resolve, lineClasses, docCtx) {
+    const distinct = [...new Set(lineClasses)];
+    if (distinct.length === 1 && distinct[0]) return distinct[0];
+    return resolve(docCtx);
+}
+
+module.exports = { CLASS_FIELDS, validateClassMapping, resolveClass, loadClassResolver, documentClass };
@@ -1,5 +1,7 @@
 const { parse } = require('csv-parse/sync');
 const dayjs = require('dayjs');
+const { parseTaxRate } = require('./tax');
+const { parseTermsName, dueDate } = require('./terms');
 
 function formatDate(input) {
     if (!input) return dayjs().format('MM/DD/YYYY');
@@ -19,61 +21,16 @@ function sanitize(value) {
     return String(value).replace(/[\t\r\n]/g, ' ').replace(/"/g, '');
 }
 
+// terms is a terms name or a resolved rule (see terms.js); unrecognised terms leave the due date on the bill date
 function computeDueDate(dateStr, terms) {
     if (!dateStr) return '';
-    const t = String(terms || '').toLowerCase();
-    const netMatch = t.match(/^net\s+(\d{1,3})/);
-    if (netMatch) {
-        const add = Number(netMatch[1]) || 0;
-        const d = dayjs(dateStr, 'MM/DD/YYYY');
-        if (d.isValid()) return d.add(add, 'day').format('MM/DD/YYYY');
-    }
-    return dateStr;
-}
-
-function getHeadersLower(rows) {
-    return rows.length ? Object.keys(rows[0]).map(h => String(h).trim().toLowerCase()) : [];
-}
-
-function detectCsvType(rows, filename = '') {
-    const h = getHeadersLower(rows);
-    const has = (name) => h.includes(name);
-    const any = (...names) => names.some(n => has(n));
-    const all = (...names) => names.every(n => has(n));
-    const fname = (filename || '').toLowerCase();
-
-    if (has('po_id')) {
-        return 'po_bills';
-    }
-    if (all('batch number', 'transfer description', 'effective date') && any('dr amount', 'cr amount')) {
-        return 'bank_batch';
-    }
-
-    const invoiceNumberSyn = ['invoice number','invoice no','invoice #','inv','invoice','document number'];
-    const invoiceIdSyn = ['invoiceid','invoice id','id'];
-    const invDateSyn = ['invoice date','date','invoicedate'];
-    const customerSyn = ['customer','customer name','account name','client','client name'];
-    const amountsSyn = ['total','amount due','balance','subtotal'];
-    if (any(...invoiceNumberSyn) || any(...invoiceIdSyn) || (any(...customerSyn) && any(...invDateSyn) && any(...amountsSyn)) || fname.includes('invoice')) {
-        return 'halo_invoices';
-    }
-
-    if (any('balance transaction id', 'type') && any('amount', 'net')) {
-        return 'stripe_csv';
-    }
-
-    if (any('vendor','supplier','vendor name') && any('refnumber','ref number','reference','reference number','docnum','document number') && any('item','item code','sku','product','product code','description') && any('qty','quantity','qnty') && any('cost','unit cost','price','unit price','rate')) {
-        return 'po_bills';
-    }
-
-    if (any('date','posting date','transaction date') && any('amount', 'credit', 'debit') && any('description', 'memo', 'details')) {
-        return 'bank_generic';
-    }
-    return 'unknown';
+    const rule = terms && typeof terms === 'object' ? terms : parseTermsName(terms);
+    return rule ? dueDate(rule, dateStr) : dateStr;
 }
 
+// Accepts CSV text, or rows that are already parsed (e.g. after a column profile was applied)
 function parseBillsFromCsv(content) {
-    const records = parse(content, { columns: true, skip_empty_lines: true, relax_column_count: true });
+    const records = Array.isArray(content) ? content : parse(content, { columns: true, skip_empty_lines: true, relax_column_count: true });
     if (!records.length) {
         throw new Error('CSV is empty or could not be parsed.');
     }
@@ -134,9 +91,18 @@ function parseBillsFromCsv(content) {
                 quantity: qty,
                 unit_cost: Math.round(cost * 100) / 100,
                 line_amount: Math.round(lineAmount * 100) / 100,
+                item_group: sanitize(r['Item Group'] || r['ItemGroup'] || '') || null,
+                asset_type: sanitize(r['Asset Type'] || r['AssetType'] || '') || null,
+                class: sanitize(r['Class'] || r['QB Class'] || '') || null,
+                client_name: sanitize(r['Client'] || r['Client Name'] || r['Customer'] || '') || null,
+                location_name: sanitize(r['Site'] || r['Site Name'] || r['Location'] || '') || null,
+                tax_code: sanitize(r['Purchase Tax Code'] || r['Tax Code'] || '') || null,
+                tax_description: sanitize(r['Purchase Tax Description'] || r['Tax Description'] || '') || null,
+                tax_rate: parseTaxRate(r['Purchase Tax Rate'] || r['Tax Rate']),
             });
         }
-        const terms = inferredTerms || 'Due upon receipt';
+        // Bills without a Terms column keep terms empty so applyTerms can use the vendor's default terms
+        const terms = inferredTerms;
         const due_date = computeDueDate(date, terms);
         bills.push({ vendor, ref_num: ref, date, total_amount: Math.round(total * 100) / 100, due_date, terms, lines });
     }
@@ -150,7 +116,6 @@ module.exports = {
     formatDate,
     sanitize,
     computeDueDate,
-    detectCsvType,
     parseBillsFromCsv,
     parseCsv: (c) => parse(c, { columns: true, skip_empty_lines: true, relax_column_count: true })
 };
\ No newline at end of file
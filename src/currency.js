@@ -0,0 +1,165 @@
+// Currencies and conversion to the company's home currency. Invoices, payments and bank lines are stored in the
+// currency of their source document; exchange_rates holds, per company, how many units of the home currency one unit
+// of a foreign currency was worth on a date. A document converts at the latest rate on or before its own date.
+// Converted documents keep their original figures in foreign_* fields next to the home-currency ones.
+const dayjs = require('dayjs');
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Three-letter ISO 4217 code, upper-cased, or null for anything else ("usd" -> "USD", "US$" -> null)
+function normalizeCurrency(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+function validateExchangeRate(rate) {
+    if (!normalizeCurrency(rate.currency)) throw new Error('currency must be a three-letter ISO code');
+    if (!rate.rate_date || !dayjs(rate.rate_date).isValid()) throw new Error('rate_date must be a valid date');
+    const n = Number(rate.rate);
+    if (!(n > 0) || !isFinite(n)) throw new Error('rate must be a positive number');
+}
+
+// Rates CSV: Date, Currency and Rate columns, where Rate is home-currency units per unit of Currency. A file quoted
+// the other way round (From = home currency, To = foreign) is inverted; rows for other currency pairs are skipped.
+function parseRatesCsv(rows, homeCurrency = DEFAULT_CURRENCY) {
+    const pick = (r, ...names) => names.map(n => r[n]).find(v => v != null && String(v).trim() !== '');
+    const rates = [];
+    const skipped = [];
+    (rows || []).forEach((r, i) => {
+        const date = pick(r, 'Date', 'Rate Date', 'Effective Date', 'date');
+        let currency = normalizeCurrency(pick(r, 'Currency', 'Code', 'From', 'currency'));
+        const quote = normalizeCurrency(pick(r, 'Home Currency', 'To', 'Quote'));
+        let rate = Number(String(pick(r, 'Rate', 'Exchange Rate', 'rate') || '').replace(/[^0-9.eE-]/g, ''));
+        if (quote && quote !== homeCurrency) {
+            if (currency !== homeCurrency) {
+                skipped.push({ row: i + 1, reason: `${currency || '?'}/${quote} is not a ${homeCurrency} rate` });
+                return;
+            }
+            currency = quote;
+            rate = rate ? 1 / rate : rate;
+        }
+        const entry = { currency, rate_date: dayjs(date).isValid() ? dayjs(date).format('YYYY-MM-DD') : null, rate };
+        try {
+            validateExchangeRate(entry);
+        } catch (err) {
+            skipped.push({ row: i + 1, reason: err.message });
+            return;
+        }
+        if (currency === homeCurrency) return;
+        rates.push({ ...entry, rate: Math.round(rate * 1e8) / 1e8 });
+    });
+    return { rates, skipped };
+}
+
+// (currency, date) -> { rate, rate_date } from a company's rates, or null when no rate is on file for that date
+function createRateLookup(rates) {
+    const byCurrency = new Map();
+    for (const r of rates || []) {
+        const code = normalizeCurrency(r.currency);
+        if (!byCurrency.has(code)) byCurrency.set(code, []);
+        byCurrency.get(code).push({ rate: Number(r.rate), rate_date: dayjs(r.rate_date).format('YYYY-MM-DD') });
+    }
+    for (const list of byCurrency.values()) list.sort((a, b) => (a.rate_date < b.rate_date ? 1 : -1));
+    return (currency, date) => {
+        const list = byCurrency.get(normalizeCurrency(currency)) || [];
+        const day = dayjs(date).isValid() ? dayjs(date).format('YYYY-MM-DD') : null;
+        return (day ? list.find(r => r.rate_date <= day) : list[0]) || null;
+    };
+}
+
+async function loadCurrencyContext(db) {
+    const company = (await db.getCompany?.()) || {};
+    return {
+        company,
+        home: normalizeCurrency(company.home_currency) || DEFAULT_CURRENCY,
+        multiCurrency: !!company.multi_currency,
+        lookup: createRateLookup((await db.getExchangeRates?.()) || [])
+    };
+}
+
+// Which fields hold money on each kind of document
+const DOCUMENT_AMOUNTS = {
+    invoice: { date: 'invoice_date', amounts: ['subtotal', 'tax_total', 'total', 'balance'], lineAmounts: ['unit_price', 'line_total'] },
+    payment: { date: 'payment_date', amounts: ['amount_gross', 'fee_amount', 'amount_net'] },
+    bank: { date: 'txn_date', amounts: ['amount', 'balance_after'] },
+    payout: { date: 'payout_date', amounts: ['amount', 'payout_amount', 'lines_net'], lineAmounts: ['amount', 'gross_amount', 'fee_amount'] },
+    ledger: { date: 'txn_date', amounts: ['amount'] }
+};
+
+function convertFields(target, fields, rate) {
+    for (const field of fields) {
+        if (target[field] == null) continue;
+        target[`foreign_${field}`] = target[field];
+        // Unit prices keep four decimals like invoice_lines.unit_price; everything else is rounded to cents
+        const places = field === 'unit_price' ? 1e4 : 100;
+        target[field] = Math.round(Number(target[field]) * rate * places) / places;
+    }
+}
+
+// Converts foreign-currency documents of the given kind to the home currency in place: amounts become home amounts,
+// the originals move to foreign_<field> and foreign_currency, and exchange_rate / rate_date record the rate used.
+// A document with no rate on file keeps its amounts and gets rate_missing. Already converted documents are skipped,
+// so the routes and the exporters can both apply it.
+async function applyHomeCurrency(db, docs, kind) {
+    const spec = DOCUMENT_AMOUNTS[kind];
+    if (!spec) throw new Error(`Unknown document kind: ${kind}`);
+    const ctx = await loadCurrencyContext(db);
+    for (const doc of docs || []) {
+        if (doc.foreign_currency || doc.rate_missing) continue;
+        const currency = normalizeCurrency(doc.currency) || ctx.home;
+        doc.home_currency = ctx.home;
+        if (currency === ctx.home) continue;
+        const found = ctx.lookup(currency, doc[spec.date]);
+        if (!found) {
+            doc.rate_missing = true;
+            continue;
+        }
+        convertFields(doc, spec.amounts, found.rate);
+        for (const line of doc.lines || []) convertFields(line, spec.lineAmounts || [], found.rate);
+        doc.foreign_currency = currency;
+        doc.currency = ctx.home;
+        doc.exchange_rate = found.rate;
+        doc.rate_date = found.rate_date;
+    }
+    return docs;
+}
+
+// "EUR 1250.00 @ 1.0842" for a converted document's IIF memo, or '' when it was not converted
+function foreignAmountMemo(doc, field) {
+    if (!doc.foreign_currency) return '';
+    return `${doc.foreign_currency} ${Number(doc[`foreign_${field}`] || 0).toFixed(2)} @ ${Number(doc.exchange_rate)}`;
+}
+
+// Problems to report before exporting documents that have been through applyHomeCurrency. A document with no rate
+// is an error (its amounts would reach QuickBooks in the wrong currency); converted documents are a warning when
+// the company file does not use multi-currency, since QuickBooks will only ever see the home-currency amounts.
+async function currencyIssues(db, docs, { label = 'document', number = d => d.number || d.external_id || d.id } = {}) {
+    const ctx = await loadCurrencyContext(db);
+    const errors = [];
+    const warnings = [];
+    const converted = new Map();
+    for (const doc of docs || []) {
+        if (doc.rate_missing) {
+            errors.push(`No ${normalizeCurrency(doc.currency) || doc.currency} to ${ctx.home} exchange rate on or before ${dayjs(doc.invoice_date || doc.payment_date || doc.txn_date || doc.payout_date).format('MM/DD/YYYY')} for ${label} ${number(doc)}; its amounts were not converted`);
+        } else if (doc.foreign_currency) {
+            converted.set(doc.foreign_currency, (converted.get(doc.foreign_currency) || 0) + 1);
+        }
+    }
+    if (!ctx.multiCurrency) {
+        for (const [currency, count] of converted) {
+            warnings.push(`${count} ${label}(s) in ${currency} were converted to ${ctx.home}: company file "${ctx.company.name || ''}" does not use multi-currency, so QuickBooks will record ${ctx.home} amounts only (the ${currency} amounts are in the memo)`);
+        }
+    }
+    return { errors, warnings };
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    validateExchangeRate,
+    parseRatesCsv,
+    createRateLookup,
+    applyHomeCurrency,
+    foreignAmountMemo,
+    currencyIssues
+};
@@ -1,17 +1,232 @@
-async function generateBillsIif(db, bills) {
+const dayjs = require('dayjs');
+const { sanitize } = require('./csv');
+const { applyAccountRules } = require('./rules');
+const { applyPurchaseTax } = require('./tax');
+const { applyTerms, resolveTerms } = require('./terms');
+const { applyVendorNames } = require('./vendors');
+const { applyItemMappings, loadItemResolver } = require('./items');
+const { loadClassResolver, documentClass } = require('./classes');
+const { parseIif } = require('./iif');
+const { applyHomeCurrency, foreignAmountMemo } = require('./currency');
+
+function toIifDate(value) {
+  if (!value) return '';
+  const d = dayjs(value);
+  return d.isValid() ? d.format('MM/DD/YYYY') : String(value);
+}
+
+// mode 'bill' writes BILLs; 'item_receipt' writes ITEM RECEIPTs for POs received before the vendor invoice.
+// In bill mode, a receipt that has been matched to a vendor invoice (qb_status 'bill_pending') is written as a
+// reversing ITEM RECEIPT followed by the BILL, so inventory and A/P are only counted once.
+async function generateBillsIif(db, bills, { mode = 'bill' } = {}) {
   const defaults = (await db.getDefaultQbdAccounts?.()) || {};
   const apAcc = defaults.accounts_payable || 'Accounts Payable';
   const invAssetAcc = defaults.inventory_asset || 'Inventory Asset';
+  await applyVendorNames(db, bills);
+  await applyItemMappings(db, bills);
+  await applyAccountRules(db, bills);
+  await applyPurchaseTax(db, bills);
+  await applyTerms(db, bills, { recompute: false });
+  const resolveClass = await loadClassResolver(db);
+
+  const pushDoc = (lines, type, bill, { date, docNum, memo = '', sign = 1, dueDate = '', terms = '' }) => {
+    const classes = (bill.lines || []).map(line => sanitize(resolveClass({
+      class: line.class, location: line.location_name, client: line.client_name, vendor: bill.vendor, item: line.item, item_group: line.item_group
+    })));
+    const trnsClass = sanitize(documentClass(resolveClass, classes, { vendor: bill.vendor }));
+    lines.push(['TRNS','',type,date,apAcc,bill.vendor,trnsClass,(-sign * Number(bill.total_amount || 0)).toFixed(2),docNum,memo,'N','N','',dueDate,terms].join('\t'));
+    for (const [i, line] of (bill.lines || []).entries()) {
+      const qty = line.quantity ? String(sign * line.quantity) : '';
+      // A mapped line keeps its original item text as the memo when it has no description of its own
+      const lineMemo = line.description || (line.source_item && line.source_item !== line.item ? sanitize(line.source_item) : '');
+      lines.push(['SPL','',type,date,line.account || invAssetAcc,'',classes[i],(sign * Number(line.line_amount || 0)).toFixed(2),'',lineMemo,'N', qty, Number(line.unit_cost || 0).toFixed(2), line.item || ''].join('\t'));
+    }
+    // Purchase tax: one split per tax code, to the code's account or the purchase_tax default
+    for (const tax of bill.tax_lines || []) {
+      lines.push(['SPL','',type,date,tax.account,'',trnsClass,(sign * tax.amount).toFixed(2),'',sanitize(tax.description),'N','','',''].join('\t'));
+    }
+    lines.push('ENDTRNS');
+  };
 
   const lines = [];
   lines.push('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR\tTOPRINT\tADDR5\tDUEDATE\tTERMS');
   lines.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR\tQNTY\tPRICE\tINVITEM');
   lines.push('!ENDTRNS');
   for (const bill of bills || []) {
-    lines.push(['TRNS','','BILL',bill.date,apAcc,bill.vendor,'',`-${Number(bill.total_amount || 0).toFixed(2)}`,bill.ref_num,'','N','N','',bill.due_date || '', bill.terms || ''].join('\t'));
-    for (const line of bill.lines || []) {
-      lines.push(['SPL','','BILL',bill.date,invAssetAcc,'','',Number(line.line_amount || 0).toFixed(2),'',line.description || '','N', String(line.quantity || ''), Number(line.unit_cost || 0).toFixed(2), line.item || ''].join('\t'));
+    if (mode === 'item_receipt') {
+      pushDoc(lines, 'ITEM RECEIPT', bill, { date: bill.date, docNum: bill.ref_num });
+    } else if (bill.qb_status === 'bill_pending') {
+      const billDate = bill.vendor_invoice_date ? toIifDate(bill.vendor_invoice_date) : bill.date;
+      pushDoc(lines, 'ITEM RECEIPT', bill, { date: billDate, docNum: bill.ref_num, memo: `Reverses receipt ${bill.ref_num}; billed on ${bill.vendor_invoice_number}`, sign: -1 });
+      pushDoc(lines, 'BILL', bill, { date: billDate, docNum: bill.vendor_invoice_number, memo: `PO ${bill.ref_num}`, dueDate: toIifDate(bill.due_date), terms: bill.terms || '' });
+    } else if (bill.vendor_invoice_number) {
+      // A converted receipt exported again (reexport): its receipt was already reversed, so only the BILL is written
+      const billDate = bill.vendor_invoice_date ? toIifDate(bill.vendor_invoice_date) : bill.date;
+      pushDoc(lines, 'BILL', bill, { date: billDate, docNum: bill.vendor_invoice_number, memo: `PO ${bill.ref_num}`, dueDate: toIifDate(bill.due_date), terms: bill.terms || '' });
+    } else {
+      pushDoc(lines, 'BILL', bill, { date: bill.date, docNum: bill.ref_num, dueDate: toIifDate(bill.due_date), terms: bill.terms || '' });
     }
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// INVOICE transactions: TRNS debits A/R for the customer, one SPL per line credits income, tax goes to its own SPL.
+// Foreign-currency invoices are converted to the home currency, with the original total in the TRNS memo.
+async function generateInvoicesIif(db, invoices) {
+  await applyHomeCurrency(db, invoices, 'invoice');
+  const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+  const arAcc = defaults.accounts_receivable || 'Accounts Receivable';
+  const incomeAcc = defaults.income || 'Sales';
+  const taxAcc = defaults.sales_tax_payable || 'Sales Tax Payable';
+  const resolveClass = await loadClassResolver(db);
+  const resolveItem = await loadItemResolver(db);
+
+  const lines = [];
+  lines.push('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR\tTOPRINT\tADDR5\tDUEDATE\tTERMS');
+  lines.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR\tQNTY\tPRICE\tINVITEM\tTAXABLE');
+  lines.push('!ENDTRNS');
+  for (const inv of invoices || []) {
+    const date = toIifDate(inv.invoice_date);
+    const customer = sanitize(inv.customer_name || '');
+    const docNum = sanitize(inv.number || inv.external_id || '');
+    const docCtx = { client: inv.client_name, customer: inv.customer_name };
+    const items = (inv.lines || []).map(ln => (ln.item_code ? sanitize(resolveItem(ln.item_code).item) : ''));
+    const classes = (inv.lines || []).map((ln, i) => sanitize(resolveClass({ ...docCtx, class: ln.class, item: items[i] })));
+    const trnsClass = sanitize(documentClass(resolveClass, classes, docCtx));
+    const spl = [];
+    let total = 0;
+    for (const [i, ln] of (inv.lines || []).entries()) {
+      const qty = ln.quantity != null ? Number(ln.quantity) : null;
+      const price = ln.unit_price != null ? Number(ln.unit_price) : null;
+      const amount = ln.line_total != null ? Number(ln.line_total) : Math.round((qty || 0) * (price || 0) * 100) / 100;
+      total += amount;
+      spl.push(['SPL','','INVOICE',date,incomeAcc,'',classes[i],(-amount).toFixed(2),'',sanitize(ln.description || ''),'N', qty != null ? String(-qty) : '', price != null ? price.toFixed(2) : '', items[i], ln.tax_code ? 'Y' : 'N'].join('\t'));
+    }
+    const tax = Number(inv.tax_total || 0);
+    if (tax) {
+      const taxCodes = [...new Set((inv.lines || []).map(l => l.tax_code).filter(Boolean))];
+      const taxItem = taxCodes.length === 1 ? sanitize(taxCodes[0]) : 'Sales Tax';
+      total += tax;
+      spl.push(['SPL','','INVOICE',date,taxAcc,'',trnsClass,(-tax).toFixed(2),'','Sales Tax','N','','',taxItem,'N'].join('\t'));
+    }
+    total = Math.round(total * 100) / 100;
+    lines.push(['TRNS','','INVOICE',date,arAcc,customer,trnsClass,total.toFixed(2),docNum,foreignAmountMemo(inv, 'total'),'N','N','',toIifDate(inv.due_date),''].join('\t'));
+    lines.push(...spl);
+    lines.push('ENDTRNS');
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Bank lines: positive amounts become DEPOSITs, negative amounts CHECKs. The offset SPL uses the
+// transaction's category when set, otherwise the configured uncategorized income/expense account.
+// Lines resolved to a vendor carry its QuickBooks name in NAME on both rows. Foreign-currency lines are converted to
+// the home currency and the original amount is added to the memo.
+async function generateBankIif(db, txns, { offsetAccount = null } = {}) {
+  await applyHomeCurrency(db, txns, 'bank');
+  const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+  const bankAcc = defaults.bank || 'Checking';
+  const depositOffset = offsetAccount || defaults.uncategorized_income || 'Uncategorized Income';
+  const checkOffset = offsetAccount || defaults.uncategorized_expense || 'Uncategorized Expense';
+  const resolveClass = await loadClassResolver(db);
+
+  const lines = [];
+  lines.push('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR');
+  lines.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR');
+  lines.push('!ENDTRNS');
+  for (const t of txns || []) {
+    const amount = Math.round(Number(t.amount || 0) * 100) / 100;
+    if (!amount) continue;
+    const type = amount > 0 ? 'DEPOSIT' : 'CHECK';
+    const offset = sanitize(t.category) || (amount > 0 ? depositOffset : checkOffset);
+    const date = toIifDate(t.txn_date);
+    const memo = sanitize([t.description || t.memo || '', foreignAmountMemo(t, 'amount')].filter(Boolean).join(' '));
+    const cls = sanitize(resolveClass({ source: t.source_name, category: t.category }));
+    const name = sanitize(t.vendor_name || '');
+    // Lines from a statement file post to the QuickBooks account set on their bank account
+    lines.push(['TRNS','',type,date,sanitize(t.bank_qb_account) || bankAcc,name,cls,amount.toFixed(2),'',memo,'N'].join('\t'));
+    lines.push(['SPL','',type,date,offset,name,cls,(-amount).toFixed(2),'',memo,'N'].join('\t'));
+    lines.push('ENDTRNS');
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Customer payments: TRNS debits Undeposited Funds (or depositAccount), SPL credits A/R against the
+// invoice number the payment was matched to. Foreign-currency payments are converted like invoices.
+async function generatePaymentsIif(db, payments, { depositAccount = null } = {}) {
+  await applyHomeCurrency(db, payments, 'payment');
+  const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+  const arAcc = defaults.accounts_receivable || 'Accounts Receivable';
+  const depositAcc = depositAccount || defaults.undeposited_funds || 'Undeposited Funds';
+  const resolveClass = await loadClassResolver(db);
+
+  const lines = [];
+  lines.push('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR\tPAYMETH');
+  lines.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR');
+  lines.push('!ENDTRNS');
+  for (const p of payments || []) {
+    const amount = Math.round(Number(p.amount_gross || 0) * 100) / 100;
+    if (!amount) continue;
+    const date = toIifDate(p.payment_date);
+    const customer = sanitize(p.customer_name || '');
+    const invNum = sanitize(p.applied_invoice_number || p.invoice_number || '');
+    const memo = sanitize([invNum ? `Payment for Invoice ${invNum}` : 'Payment', foreignAmountMemo(p, 'amount_gross')].filter(Boolean).join(' '));
+    const cls = sanitize(resolveClass({ client: p.client_name, customer: p.customer_name }));
+    lines.push(['TRNS','','PAYMENT',date,depositAcc,customer,cls,amount.toFixed(2),sanitize(p.external_id || ''),memo,'N',sanitize(p.method || '')].join('\t'));
+    lines.push(['SPL','','PAYMENT',date,arAcc,customer,cls,(-amount).toFixed(2),invNum,memo,'N'].join('\t'));
+    lines.push('ENDTRNS');
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Stripe payouts as one DEPOSIT each, matching the single net amount the bank receives. The splits show what made it
+// up: each charge at its gross (from Undeposited Funds, or receiptsAccount, under the paying customer), refunds and
+// adjustments at their category, and one line for all Stripe fees in the payout to feeAccount (default: the
+// stripe_fees account). In the QuickBooks deposit the fee line shows as negative; in IIF, where deposit splits are
+// credits, that is a positive amount. Fees are taken as gross minus net per line, so the splits always add up to the
+// deposit. Foreign-currency payouts are converted like bank transactions.
+async function generatePayoutsIif(db, payouts, { feeAccount = null, receiptsAccount = null } = {}) {
+  await applyHomeCurrency(db, payouts, 'payout');
+  const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+  const bankAcc = defaults.bank || 'Checking';
+  const receiptsAcc = receiptsAccount || defaults.undeposited_funds || 'Undeposited Funds';
+  const feeAcc = feeAccount || defaults.stripe_fees || 'Stripe Fees';
+  const incomeAcc = defaults.uncategorized_income || 'Uncategorized Income';
+  const expenseAcc = defaults.uncategorized_expense || 'Uncategorized Expense';
+  const resolveClass = await loadClassResolver(db);
+  const cents = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+  const lines = [];
+  lines.push('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR');
+  lines.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tCLASS\tAMOUNT\tDOCNUM\tMEMO\tCLEAR');
+  lines.push('!ENDTRNS');
+  for (const p of payouts || []) {
+    const date = toIifDate(p.payout_date || p.arrival_date);
+    const docNum = sanitize(p.payout_id);
+    const splits = [];
+    let fees = 0;
+    for (const l of p.lines || []) {
+      const net = cents(l.amount);
+      if (/fee$/.test(l.txn_type || '')) {
+        fees += -net;
+        continue;
+      }
+      const gross = cents(l.gross_amount != null ? l.gross_amount : l.amount);
+      fees += gross - net;
+      if (!gross) continue;
+      const receipt = l.txn_type === 'charge' || l.txn_type === 'payment';
+      const account = receipt ? receiptsAcc : sanitize(l.category) || (gross > 0 ? incomeAcc : expenseAcc);
+      const name = sanitize(receipt ? l.customer_name || '' : l.vendor_name || '');
+      const memo = sanitize([l.description, l.memo].filter(Boolean).join(' '));
+      splits.push({ account, name, amount: -gross, memo, cls: sanitize(resolveClass({ source: l.source_name, customer: l.customer_name, category: l.category })) });
+    }
+    const cls = sanitize(documentClass(resolveClass, splits.map(s => s.cls), { source: 'Stripe' }));
+    fees = cents(fees);
+    if (fees) splits.push({ account: feeAcc, name: '', amount: fees, memo: 'Stripe fees', cls });
+    if (!splits.length) continue;
+    const amount = cents(-splits.reduce((sum, s) => sum + s.amount, 0));
+    const memo = sanitize([`Stripe payout ${p.payout_id}`, foreignAmountMemo(p, 'payout_amount')].filter(Boolean).join(' '));
+    lines.push(['TRNS','','DEPOSIT',date,bankAcc,'',cls,amount.toFixed(2),docNum,memo,'N'].join('\t'));
+    for (const s of splits) lines.push(['SPL','','DEPOSIT',date,s.account,s.name,s.cls,s.amount.toFixed(2),docNum,s.memo,'N'].join('\t'));
     lines.push('ENDTRNS');
   }
   return lines.join('\r\n') + '\r\n';
@@ -36,4 +251,216 @@ async function generateItemsIif(db) {
   return out;
 }
 
-module.exports = { generateBillsIif, generateItemsIif };
+// IIF account type codes by the friendlier names used in qbd_accounts.account_type
+const ACCOUNT_TYPE_CODES = {
+  'bank': 'BANK',
+  'accounts receivable': 'AR', 'ar': 'AR',
+  'other current asset': 'OCASSET', 'ocasset': 'OCASSET',
+  'fixed asset': 'FIXASSET', 'fixasset': 'FIXASSET',
+  'other asset': 'OASSET', 'oasset': 'OASSET',
+  'accounts payable': 'AP', 'ap': 'AP',
+  'credit card': 'CCARD', 'ccard': 'CCARD',
+  'other current liability': 'OCLIAB', 'ocliab': 'OCLIAB',
+  'long term liability': 'LTLIAB', 'ltliab': 'LTLIAB',
+  'equity': 'EQUITY',
+  'income': 'INC', 'inc': 'INC',
+  'cost of goods sold': 'COGS', 'cogs': 'COGS',
+  'expense': 'EXP', 'exp': 'EXP',
+  'other income': 'EXINC', 'exinc': 'EXINC',
+  'other expense': 'EXEXP', 'exexp': 'EXEXP',
+  'non-posting': 'NONPOSTING', 'nonposting': 'NONPOSTING'
+};
+
+// Fallback account type when account_type is empty, by the account's default role
+const ROLE_ACCOUNT_TYPES = {
+  bank: 'BANK',
+  accounts_receivable: 'AR',
+  accounts_payable: 'AP',
+  inventory_asset: 'OCASSET',
+  undeposited_funds: 'OCASSET',
+  sales_tax_payable: 'OCLIAB',
+  income: 'INC',
+  uncategorized_income: 'INC',
+  cogs: 'COGS',
+  uncategorized_expense: 'EXP',
+  stripe_fees: 'EXP'
+};
+
+function accountTypeCode(account) {
+  const t = String(account.account_type || '').trim().toLowerCase();
+  if (t) return ACCOUNT_TYPE_CODES[t] || t.toUpperCase();
+  return ROLE_ACCOUNT_TYPES[account.role] || '';
+}
+
+// Chart of accounts from qbd_accounts. Accounts without a resolvable type are left out, since
+// QuickBooks cannot create an account without one.
+async function generateAccountsIif(db) {
+  const accounts = (await db.getQbdAccounts()) || [];
+  let out = '!ACCNT\tNAME\tACCNTTYPE\tDESC\r\n';
+  for (const a of accounts) {
+    const type = accountTypeCode(a);
+    if (!type) continue;
+    out += ['ACCNT', sanitize(a.name), type, ''].join('\t') + '\r\n';
+  }
+  return out;
+}
+
+// Vendor list from PO vendors and the vendors table; pass names to limit it to the vendors a bill set uses
+async function generateVendorsIif(db, names = null) {
+  let vendors = (await db.getVendorsForExport()) || [];
+  if (Array.isArray(names)) {
+    const wanted = new Set(names.map(n => String(n).toLowerCase()));
+    const known = new Set(vendors.map(v => String(v.name).toLowerCase()));
+    vendors = vendors.filter(v => wanted.has(String(v.name).toLowerCase()))
+      .concat([...new Set(names)].filter(n => n && !known.has(String(n).toLowerCase())).map(name => ({ name })));
+  }
+  let out = '!VEND\tNAME\tPRINTAS\tADDR1\r\n';
+  for (const v of vendors) {
+    const name = sanitize(v.name);
+    out += ['VEND', name, name, sanitize(v.address || '')].join('\t') + '\r\n';
+  }
+  return out;
+}
+
+// !CLASS list; pass names to limit it to the classes a document set uses (see classesInIif)
+async function generateClassesIif(db, names = null) {
+  const classes = Array.isArray(names) ? names.filter(Boolean) : ((await db.getClassesForExport?.()) || []);
+  // Subclasses ("Parent:Child") need their parent listed first
+  const expanded = new Set();
+  for (const name of classes) {
+    const parts = String(name).split(':');
+    parts.forEach((_, i) => expanded.add(parts.slice(0, i + 1).join(':')));
+  }
+  let out = '!CLASS\tNAME\tHIDDEN\r\n';
+  for (const name of expanded) {
+    out += ['CLASS', sanitize(name), 'N'].join('\t') + '\r\n';
+  }
+  return out;
+}
+
+// !TERMS list from the payment_terms catalogue; pass names to limit it to the terms a bill set uses. Names not in
+// the catalogue are included when terms.js can parse them, so QuickBooks does not reject the bills' TERMS column.
+// day_of_month and eom terms are written as QuickBooks date-driven terms (TERMSTYPE 1).
+async function generateTermsIif(db, names = null) {
+  const catalogue = (await db.getPaymentTerms?.({ activeOnly: true })) || [];
+  let terms = catalogue;
+  if (Array.isArray(names)) {
+    const wanted = [...new Set(names.filter(Boolean).map(String))];
+    terms = wanted.map(name => ({ ...resolveTerms(catalogue, name), name })).filter(t => t.rule_type);
+  }
+  let out = '!TERMS\tNAME\tDUEDAYS\tDISCPER\tDISCDAYS\tTERMSTYPE\tHIDDEN\r\n';
+  for (const t of terms) {
+    const dateDriven = t.rule_type === 'day_of_month' || t.rule_type === 'eom';
+    const dueDays = t.rule_type === 'eom' ? 31 : t.rule_type === 'due_on_receipt' ? 0 : Number(t.days || 0);
+    const pct = Number(t.discount_percent || 0);
+    out += ['TERMS', sanitize(t.name), String(dueDays), pct ? `${pct.toFixed(2)}%` : '', pct ? String(Number(t.discount_days || 0)) : '', dateDriven ? '1' : '0', 'N'].join('\t') + '\r\n';
+  }
+  return out;
+}
+
+// Class names referenced by the TRNS/SPL rows of a generated IIF
+function classesInIif(iif) {
+  const { transactions } = parseIif(iif);
+  const names = new Set();
+  for (const t of transactions) {
+    for (const r of [t.trns, ...t.splits]) { if (r.CLASS) names.add(r.CLASS); }
+  }
+  return [...names];
+}
+
+// Customer list from customers and MSP clients; pass names to limit it to the customers a document set uses
+async function generateCustomersIif(db, names = null) {
+  let customers = (await db.getCustomersForExport()) || [];
+  if (Array.isArray(names)) {
+    const wanted = new Set(names.filter(Boolean).map(n => String(n).toLowerCase()));
+    customers = customers.filter(c => wanted.has(String(c.name).toLowerCase()));
+  }
+  let out = '!CUST\tNAME\tBADDR1\tEMAIL\r\n';
+  for (const c of customers) {
+    out += ['CUST', sanitize(c.name), sanitize(c.address || ''), sanitize(c.email || '')].join('\t') + '\r\n';
+  }
+  return out;
+}
+
+// Concatenate IIF documents into one import file; lists should come before the transactions that use them
+function bundleIif(...docs) {
+  return docs.filter(Boolean).join('');
+}
+
+// QuickBooks Online does not read IIF; its bill/invoice import takes a spreadsheet with one row per line,
+// repeating the header fields on each row of the same document.
+function csvCell(value) {
+  const v = value == null ? '' : String(value);
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function generateBillsQboCsv(db, bills) {
+  const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+  const invAssetAcc = defaults.inventory_asset || 'Inventory Asset';
+  await applyVendorNames(db, bills);
+  await applyItemMappings(db, bills);
+  await applyAccountRules(db, bills);
+  await applyPurchaseTax(db, bills);
+  await applyTerms(db, bills, { recompute: false });
+
+  const header = ['Bill No', 'Vendor', 'Bill Date', 'Due Date', 'Terms', 'Memo', 'Account', 'Line Description', 'Line Amount'];
+  const rows = [];
+  for (const bill of bills || []) {
+    const head = [bill.vendor_invoice_number || bill.ref_num || '', bill.vendor || '', toIifDate(bill.vendor_invoice_date || bill.date), toIifDate(bill.due_date), bill.terms || '', ''];
+    const billLines = (bill.lines || []).length ? bill.lines : [{ description: '', line_amount: bill.total_amount }];
+    for (const line of billLines) {
+      // QBO bill imports are account-based, so the item is carried in the line description
+      const desc = [line.item, line.description].filter(Boolean).join(' - ');
+      rows.push([...head, line.account || invAssetAcc, desc, Number(line.line_amount || 0).toFixed(2)]);
+    }
+    for (const tax of bill.tax_lines || []) {
+      rows.push([...head, tax.account, tax.description, tax.amount.toFixed(2)]);
+    }
+  }
+  return toCsv(header, rows);
+}
+
+async function generateInvoicesQboCsv(db, invoices) {
+  await applyHomeCurrency(db, invoices, 'invoice');
+  const resolveItem = await loadItemResolver(db);
+  const header = ['Invoice No', 'Customer', 'Invoice Date', 'Due Date', 'Terms', 'Memo', 'Item(Product/Service)', 'Item Description', 'Item Quantity', 'Item Rate', 'Item Amount', 'Item Tax Code'];
+  const rows = [];
+  for (const inv of invoices || []) {
+    const head = [inv.number || inv.external_id || '', inv.customer_name || '', toIifDate(inv.invoice_date), toIifDate(inv.due_date), '', foreignAmountMemo(inv, 'total')];
+    for (const ln of inv.lines || []) {
+      const qty = ln.quantity != null ? Number(ln.quantity) : null;
+      const price = ln.unit_price != null ? Number(ln.unit_price) : null;
+      const amount = ln.line_total != null ? Number(ln.line_total) : Math.round((qty || 0) * (price || 0) * 100) / 100;
+      rows.push([...head, ln.item_code ? resolveItem(ln.item_code).item : '', ln.description || '', qty != null ? String(qty) : '', price != null ? price.toFixed(2) : '', amount.toFixed(2), ln.tax_code ? 'TAX' : 'NON']);
+    }
+    // Tax as its own line, under the same item as the IIF Sales Tax split, so the invoice total matches
+    const tax = Number(inv.tax_total || 0);
+    if (tax) {
+      const taxCodes = [...new Set((inv.lines || []).map(l => l.tax_code).filter(Boolean))];
+      rows.push([...head, taxCodes.length === 1 ? taxCodes[0] : 'Sales Tax', 'Sales Tax', '', '', tax.toFixed(2), 'NON']);
+    }
+  }
+  return toCsv(header, rows);
+}
+
+module.exports = {
+  generateBillsIif,
+  generateInvoicesIif,
+  generateBillsQboCsv,
+  generateInvoicesQboCsv,
+  generateBankIif,
+  generatePaymentsIif,
+  generatePayoutsIif,
+  generateItemsIif,
+  generateAccountsIif,
+  generateVendorsIif,
+  generateCustomersIif,
+  generateClassesIif,
+  generateTermsIif,
+  classesInIif,
+  bundleIif
+};
@@ -0,0 +1,65 @@
+// Reader for QuickBooks Desktop IIF files (tab-delimited, "!" rows declare the columns of a record type)
+
+function looksLikeIif(content, filename = '') {
+    if (/\.iif$/i.test(filename || '')) return true;
+    const first = String(content || '').replace(/^\uFEFF/, '').trimStart().split(/\r?\n/, 1)[0] || '';
+    return /^!(HDR|ACCNT|INVITEM|VEND|CUST|TRNS|CLASS|TERMS|EMP|OTHERNAME)\t/.test(first);
+}
+
+function unquote(value) {
+    const v = String(value == null ? '' : value).trim();
+    return v.length >= 2 && v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1) : v;
+}
+
+// Returns { header, headers, lists, transactions }:
+// - header: the HDR record (PROD, VER, ...) if present
+// - headers: column names per record type as declared by the "!" rows
+// - lists: records keyed by type (ACCNT, INVITEM, VEND, CUST, ...)
+// - transactions: { trns, splits } per TRNS ... ENDTRNS block
+function parseIif(content) {
+    const headers = {};
+    const lists = {};
+    const transactions = [];
+    let header = null;
+    let current = null;
+
+    const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    lines.forEach((line, idx) => {
+        if (!line.trim()) return;
+        const cells = line.split('\t');
+        const tag = unquote(cells[0]).toUpperCase();
+
+        if (tag.startsWith('!')) {
+            headers[tag.slice(1)] = cells.slice(1).map(c => unquote(c).toUpperCase());
+            return;
+        }
+        if (tag === 'ENDTRNS') {
+            if (current) transactions.push(current);
+            current = null;
+            return;
+        }
+
+        const cols = headers[tag];
+        if (!cols) throw new Error(`IIF line ${idx + 1}: ${tag} record has no !${tag} header`);
+        const record = {};
+        cols.forEach((col, i) => { if (col) record[col] = unquote(cells[i + 1]); });
+
+        if (tag === 'HDR') {
+            header = record;
+        } else if (tag === 'TRNS') {
+            if (current) transactions.push(current);
+            current = { trns: record, splits: [] };
+        } else if (tag === 'SPL') {
+            if (!current) throw new Error(`IIF line ${idx + 1}: SPL outside of a TRNS block`);
+            current.splits.push(record);
+        } else {
+            if (!lists[tag]) lists[tag] = [];
+            lists[tag].push(record);
+        }
+    });
+    if (current) transactions.push(current);
+
+    return { header, headers, lists, transactions };
+}
+
+module.exports = { looksLikeIif, parseIif, unquote };
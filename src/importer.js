@@ -1,153 +1,113 @@
-const crypto = require('crypto');
-const dayjs = require('dayjs');
-const { parseCsv, detectCsvType, parseBillsFromCsv } = require('./csv');
+// Import-source registry. Each module in src/importers declares a type, a label and three steps:
+//   detect(ctx)               -> confidence between 0 and 1 that the file belongs to this source
+//   parse(ctx)                -> parsed records, without touching the database
+//   persist(db, parsed, ctx)  -> writes import metadata and records, returns the result sent to the UI
+// ctx is { content, filename, mimetype, format, isIif, rows, headers (trimmed, lowercased), profile }, where format is
+// 'csv' or the file format recognised before CSV parsing ('iif', 'ofx', 'bai2', 'camt053').
+// importFile runs every detector, imports with the highest-confidence module and reports the others it considered.
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { looksLikeIif } = require('./iif');
+const { looksLikeOfx } = require('./ofx');
+const { looksLikeBai2 } = require('./bai2');
+const { looksLikeCamt053 } = require('./camt');
+const { headerFingerprint } = require('./profiles');
 
-function hashRow(obj) {
-    return crypto.createHash('md5').update(JSON.stringify(obj)).digest('hex');
-}
-
-async function importFile(db, content, filename, mimetype) {
-    const rows = parseCsv(content);
-    const detectedType = detectCsvType(rows, filename);
+const importers = [];
 
-    switch (detectedType) {
-        case 'po_bills':
-            return importPoBills(db, content, filename, mimetype, rows);
-        case 'halo_invoices':
-            return importHaloInvoices(db, content, filename, mimetype, rows);
-        case 'bank_batch':
-        case 'bank_generic':
-            return importBankFile(db, content, filename, mimetype, rows, detectedType);
-        case 'stripe_csv':
-            throw new Error('Stripe CSV not supported yet. Use Stripe backfill API.');
-        default:
-            throw new Error('Unknown CSV structure');
+function registerImporter(mod) {
+    if (!mod || !mod.type) throw new Error('Importer must declare a type');
+    for (const step of ['detect', 'parse', 'persist']) {
+        if (typeof mod[step] !== 'function') throw new Error(`Importer ${mod.type} is missing ${step}()`);
     }
+    // Registering an existing type replaces it, so a team module can override a built-in source
+    const existing = importers.findIndex(m => m.type === mod.type);
+    if (existing >= 0) importers[existing] = mod;
+    else importers.push(mod);
+    return mod;
 }
 
-async function importPoBills(db, content, filename, mimetype, rows) {
-    const metaId = await db.createImportMetadata('LocalCSV', 'po_bills', {
-        original_filename: filename,
-        content_type: mimetype || 'text/csv',
-        row_count: rows.length,
-        raw_headers: rows.length ? Object.keys(rows[0]) : [],
-        sample: rows.slice(0, 5)
-    });
-    await db.addImportRecords(metaId, rows.map(r => ({ external_id: r['RefNumber'] || r['Ref Number'] || null, checksum: hashRow(r), raw: r })));
-    const importResult = await db.storeCsvImport(filename, content);
-    if (importResult.isDuplicate) {
-        return { error: importResult.message, isDuplicate: true, importId: importResult.id, detectedType: 'po_bills' };
-    }
-    const bills = parseBillsFromCsv(content);
-    return { bills, filePath: filename, importId: importResult.id, isDuplicate: false, import_meta_id: metaId, detectedType: 'po_bills' };
+function listImporters() {
+    return importers.map(m => ({ type: m.type, label: m.label || m.type }));
 }
 
-async function importHaloInvoices(db, content, filename, mimetype, rows) {
-    const importMetaId = await db.createImportMetadata('HaloPSA', 'halo_invoices', {
-        original_filename: filename,
-        content_type: mimetype,
-        row_count: rows.length,
-        raw_headers: rows.length ? Object.keys(rows[0]) : [],
-        sample: rows.slice(0, 5)
-    });
-    await db.addImportRecords(importMetaId, rows.map(r => ({ external_id: r['InvoiceID'] || r['Invoice ID'] || r['ID'] || null, checksum: hashRow(r), raw: r })));
-
-    const map = new Map();
-    for (const r of rows) {
-        const num = String(r['Invoice Number'] || r['Number'] || r['Invoice'] || r['INV'] || r['Document Number'] || '').trim();
-        const extId = String(r['InvoiceID'] || r['Invoice ID'] || r['ID'] || '').trim();
-        const key = num || extId || hashRow({ r });
-        if (!map.has(key)) map.set(key, []);
-        map.get(key).push(r);
-    }
+// Every file in src/importers exporting a detect() is registered; helper files without one are skipped
+const importersDir = path.join(__dirname, 'importers');
+for (const file of fs.readdirSync(importersDir).filter(f => f.endsWith('.js')).sort()) {
+    const mod = require(path.join(importersDir, file));
+    if (typeof mod.detect === 'function') registerImporter(mod);
+}
 
-    let imported = 0;
-    const parseNum = (v) => v == null ? null : Number(String(v).replace(/[^0-9.-]/g, ''));
-    const parseDateStr = (v) => dayjs(v).isValid() ? dayjs(v).format('YYYY-MM-DD') : null;
+async function buildContext(db, content, filename, mimetype) {
+    // IIF, OFX, BAI2 and CAMT.053 files are not CSV; route them before attempting a CSV parse
+    const format = looksLikeIif(content, filename) ? 'iif'
+        : looksLikeOfx(content, filename) ? 'ofx'
+        : looksLikeBai2(content, filename) ? 'bai2'
+        : looksLikeCamt053(content, filename) ? 'camt053'
+        : 'csv';
+    const rows = format === 'csv' ? parseCsv(content) : [];
+    const rawHeaders = rows.length ? Object.keys(rows[0]) : [];
+    // A saved column profile for this exact header set is handed to detectors as the strongest signal
+    const profile = rawHeaders.length ? await db.getColumnProfileByFingerprint?.(headerFingerprint(rawHeaders)) : null;
+    return {
+        content,
+        filename,
+        mimetype,
+        format,
+        isIif: format === 'iif',
+        rows,
+        headers: rawHeaders.map(h => String(h).trim().toLowerCase()),
+        profile: profile || null
+    };
+}
 
-    for (const [key, group] of map.entries()) {
-        const head = group[0];
-        const invoice = {
-            external_id: String(head['InvoiceID'] || head['Invoice ID'] || head['ID'] || head['Number'] || head['Document Number'] || '').trim() || null,
-            number: String(head['Invoice Number'] || head['Number'] || head['Document Number'] || '').trim() || null,
-            invoice_date: parseDateStr(head['Invoice Date'] || head['Date'] || head['InvoiceDate']),
-            due_date: parseDateStr(head['Due Date'] || head['DueDate']),
-            status: head['Status'] || null,
-            currency: (head['Currency'] || head['Document Currency'] || 'USD').toString(),
-            subtotal: parseNum(head['Subtotal']),
-            tax_total: head['Tax'] ? parseNum(head['Tax']) : (head['Tax Total'] ? parseNum(head['Tax Total']) : null),
-            total: parseNum(head['Total']),
-            balance: head['Balance'] ? parseNum(head['Balance']) : (head['Amount Due'] ? parseNum(head['Amount Due']) : null),
-            customer: {
-                external_id: head['CustomerID'] || head['Customer Id'] || head['Customer ID'] || null,
-                name: head['Customer'] || head['Customer Name'] || head['Account Name'] || null,
-                email: head['Customer Email'] || null,
-                address: head['Billing Address'] || null
-            },
-            raw: head
-        };
-        const lines = group.map(r => {
-            const qtyN = parseNum(r['Qty'] || r['Quantity']);
-            const priceN = parseNum(r['Unit Price'] || r['Price']);
-            const lineTotal = r['Line Total'] != null ? parseNum(r['Line Total']) : (qtyN != null && priceN != null ? Number((qtyN * priceN).toFixed(2)) : null);
-            return { item_code: r['Item Code'] || r['Item'] || r['SKU'] || null, description: r['Description'] || r['Item Description'] || null, quantity: qtyN, unit_price: priceN, tax_code: r['Tax Code'] || null, line_total: lineTotal };
-        });
-        await db.upsertInvoiceWithLines('HaloPSA', invoice, lines);
-        imported++;
-    }
-    return { detectedType: 'halo_invoices', imported, import_meta_id: importMetaId };
+// Candidates sorted by confidence; a detector that throws counts as no match
+function rankImporters(ctx) {
+    return importers
+        .map((mod) => {
+            let confidence = 0;
+            try {
+                confidence = Math.max(0, Math.min(1, Number(mod.detect(ctx)) || 0));
+            } catch (err) {
+                console.error(`Importer ${mod.type} detect failed:`, err);
+            }
+            return { type: mod.type, label: mod.label || mod.type, confidence };
+        })
+        .sort((a, b) => b.confidence - a.confidence);
 }
 
-async function importBankFile(db, content, filename, mimetype, rows, detectedType) {
-    const sourceName = detectedType === 'bank_batch' ? 'FNBPA' : 'BankCSV';
-    const importMetaId = await db.createImportMetadata(sourceName, detectedType, {
-        original_filename: filename,
-        content_type: mimetype,
-        row_count: rows.length,
-        raw_headers: rows.length ? Object.keys(rows[0]) : [],
-        sample: rows.slice(0, 5)
-    });
-    await db.addImportRecords(importMetaId, rows.map(r => ({ external_id: (r['Reference Number'] || r['reference number'] || r['Transaction ID'] || r['ID'] || null), checksum: hashRow(r), raw: r })));
+async function detectImport(db, content, filename, mimetype) {
+    const ctx = await buildContext(db, content, filename, mimetype);
+    return rankImporters(ctx).filter(c => c.confidence > 0);
+}
 
-    const parseNumber = (v) => {
-        if (v == null) return 0;
-        const n = Number(String(v).replace(/[^0-9.-]/g, ''));
-        return isNaN(n) ? 0 : n;
-    };
+// options.type forces a registered source instead of the highest-confidence one
+async function importFile(db, content, filename, mimetype, options = {}) {
+    const ctx = await buildContext(db, content, filename, mimetype);
+    const ranked = rankImporters(ctx);
+    const chosen = options.type ? ranked.find(c => c.type === options.type) : ranked[0];
+    if (options.type && !chosen) {
+        throw new Error(`Unknown import type: ${options.type}`);
+    }
+    const alternatives = ranked.filter(c => c !== chosen && c.confidence > 0);
+    if (!chosen || (!options.type && chosen.confidence <= 0)) {
+        const err = new Error('Unknown CSV structure');
+        err.detectedType = 'unknown';
+        err.alternatives = alternatives;
+        throw err;
+    }
 
-    let txns = [];
-    if (detectedType === 'bank_batch') {
-        for (const r of rows) {
-            const effective = r['Effective Date'] || r['effective date'] || r['Date'] || r['date'];
-            const transferDesc = r['Transfer Description'] || r['transfer description'] || '';
-            const company = r['Company Name'] || r['company name'] || '';
-            const batchType = r['Batch Type'] || r['batch type'] || '';
-            const sec = r['SEC Code'] || r['sec code'] || '';
-            const itemCount = r['Item Count'] || r['item count'] || '';
-            const status = r['Batch Status'] || r['batch status'] || '';
-            const ref = r['Reference Number'] || r['reference number'] || '';
-            const dr = parseNumber(r['DR Amount'] || r['dr amount']);
-            const cr = parseNumber(r['CR Amount'] || r['cr amount']);
-            const baseDesc = `${transferDesc}`.trim();
-            const memoBase = `Company: ${company} | SEC: ${sec} | Items: ${itemCount} | Status: ${status} | Type: ${batchType}`;
-            const txnDate = effective ? new Date(effective) : new Date();
-            if (cr > 0) txns.push({ external_id: ref ? `${ref}-CR` : null, txn_date: txnDate, amount: cr, currency: 'USD', description: `${baseDesc} • CR`, memo: memoBase, balance_after: null, checksum: hashRow({effective,baseDesc,cr,type:'CR',ref}), raw: r });
-            if (dr > 0) txns.push({ external_id: ref ? `${ref}-DR` : null, txn_date: txnDate, amount: -Math.abs(dr), currency: 'USD', description: `${baseDesc} • DR`, memo: memoBase, balance_after: null, checksum: hashRow({effective,baseDesc,dr,type:'DR',ref}), raw: r });
-        }
-    } else {
-        for (const r of rows) {
-            const date = r['Date'] || r['Transaction Date'] || r['Posting Date'] || r['TxnDate'];
-            const desc = r['Description'] || r['Memo'] || r['Details'] || '';
-            const memo = r['Memo'] || r['Notes'] || '';
-            const amount = r['Amount'] || r['Credit'] || r['Debit'] ? (r['Amount'] || r['Credit'] || `-${Math.abs(parseNumber(r['Debit']))}`) : (r['amount']);
-            const balance = r['Balance'] || r['Running Balance'] || null;
-            const parsedAmt = parseNumber(amount);
-            if (!parsedAmt) continue;
-            txns.push({ external_id: r['Transaction ID'] || r['ID'] || null, txn_date: date ? new Date(date) : new Date(), amount: parsedAmt, currency: 'USD', description: String(desc).trim(), memo: String(memo).trim(), balance_after: balance ? parseNumber(balance) : null, checksum: hashRow({date,desc,memo,amount,balance}), raw: r });
-        }
+    const mod = importers.find(m => m.type === chosen.type);
+    try {
+        const parsed = await mod.parse(ctx);
+        const result = await mod.persist(db, parsed, ctx);
+        return { ...result, detectedType: result.detectedType || chosen.type, confidence: chosen.confidence, alternatives };
+    } catch (err) {
+        err.detectedType = chosen.type;
+        err.alternatives = alternatives;
+        throw err;
     }
-    const result = await db.insertBankTransactions(sourceName, txns);
-    return { detectedType, imported: result.count, import_meta_id: importMetaId };
 }
 
-module.exports = { importFile };
\ No newline at end of file
+module.exports = { importFile, detectImport, registerImporter, listImporters };
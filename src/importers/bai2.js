@@ -0,0 +1,74 @@
+// BAI2 balance reports from a bank's treasury portal (see bai2.js). Each 16 detail becomes a bank line signed by its
+// type code (credit or debit) and keyed by its account and bank reference number; each account (03) is recorded in
+// bank_accounts and the report's as-of date and closing balances in bank_statements.
+const { parseBai2 } = require('../bai2');
+const { hashRow, accountExternalId, persistStatements } = require('./shared');
+const { normalizeCurrency } = require('../currency');
+
+function detect(ctx) {
+    return ctx.format === 'bai2' ? 1 : 0;
+}
+
+function parse(ctx) {
+    const { header, accounts } = parseBai2(ctx.content);
+    if (!accounts.length) throw new Error('BAI2 file contains no account (03) records');
+    let skipped = 0;
+    const statements = accounts.map((a) => {
+        const txns = [];
+        for (const t of a.transactions) {
+            // Non-monetary details (type codes outside the credit and debit ranges) are not bank lines
+            if (!t.direction || !t.amount) {
+                skipped++;
+                continue;
+            }
+            txns.push({
+                // Bank reference numbers identify the item within the account; without one the line is keyed by its
+                // content (customer references are shared by many items, so never used as the key)
+                external_id: accountExternalId(a, t.bank_reference || hashRow({ account: a.account_number, ...t })),
+                txn_date: t.date,
+                amount: t.amount,
+                currency: normalizeCurrency(a.currency),
+                description: t.text || t.type,
+                memo: [t.type, t.customer_reference ? `Ref ${t.customer_reference}` : null].filter(Boolean).join(' | '),
+                txn_type: t.type_code,
+                raw: t
+            });
+        }
+        const closing = a.balances.closing_ledger != null ? a.balances.closing_ledger : a.balances.opening_ledger;
+        const available = a.balances.closing_available != null ? a.balances.closing_available : a.balances.opening_available;
+        return {
+            account: { bank_id: a.bank_id, account_number: a.account_number },
+            currency: a.currency,
+            period: { start: a.as_of_date, end: a.as_of_date },
+            ledger_balance: closing != null ? closing : null,
+            ledger_balance_date: a.as_of_date,
+            available_balance: available != null ? available : null,
+            available_balance_date: a.as_of_date,
+            txns
+        };
+    });
+    return { header, statements, skipped };
+}
+
+async function persist(db, parsed, ctx) {
+    const txns = parsed.statements.flatMap(s => s.txns);
+    const importMetaId = await db.createImportMetadata('BAI2', 'bai2', {
+        original_filename: ctx.filename,
+        content_type: ctx.mimetype || 'text/plain',
+        row_count: txns.length,
+        raw_headers: parsed.header,
+        sample: txns.slice(0, 5).map(t => t.raw)
+    });
+    await db.addImportRecords(importMetaId, txns.map(t => ({ external_id: t.external_id, checksum: hashRow(t.raw), raw: t.raw })));
+    const result = await persistStatements(db, 'BAI2', importMetaId, parsed.statements);
+    return {
+        detectedType: 'bai2',
+        imported: result.inserted,
+        already_imported: result.total - result.inserted,
+        skipped: parsed.skipped,
+        statements: result.statements,
+        import_meta_id: importMetaId
+    };
+}
+
+module.exports = { type: 'bai2', label: 'BAI2 Balance Report', detect, parse, persist };
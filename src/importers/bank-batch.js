@@ -0,0 +1,44 @@
+// FNB PA ACH batch report: each batch row carries DR and/or CR totals, split into separate bank transactions.
+const { hashRow, headerMatcher, csvImportMetadata } = require('./shared');
+
+function detect(ctx) {
+    const { any, all } = headerMatcher(ctx.headers);
+    if (all('batch number', 'transfer description', 'effective date') && any('dr amount', 'cr amount')) return 0.95;
+    return 0;
+}
+
+function parse(ctx) {
+    const parseNumber = (v) => {
+        if (v == null) return 0;
+        const n = Number(String(v).replace(/[^0-9.-]/g, ''));
+        return isNaN(n) ? 0 : n;
+    };
+    const txns = [];
+    for (const r of ctx.rows) {
+        const effective = r['Effective Date'] || r['effective date'] || r['Date'] || r['date'];
+        const transferDesc = r['Transfer Description'] || r['transfer description'] || '';
+        const company = r['Company Name'] || r['company name'] || '';
+        const batchType = r['Batch Type'] || r['batch type'] || '';
+        const sec = r['SEC Code'] || r['sec code'] || '';
+        const itemCount = r['Item Count'] || r['item count'] || '';
+        const status = r['Batch Status'] || r['batch status'] || '';
+        const ref = r['Reference Number'] || r['reference number'] || '';
+        const dr = parseNumber(r['DR Amount'] || r['dr amount']);
+        const cr = parseNumber(r['CR Amount'] || r['cr amount']);
+        const baseDesc = `${transferDesc}`.trim();
+        const memoBase = `Company: ${company} | SEC: ${sec} | Items: ${itemCount} | Status: ${status} | Type: ${batchType}`;
+        const txnDate = effective ? new Date(effective) : new Date();
+        if (cr > 0) txns.push({ external_id: ref ? `${ref}-CR` : null, txn_date: txnDate, amount: cr, currency: 'USD', description: `${baseDesc} • CR`, memo: memoBase, balance_after: null, checksum: hashRow({effective,baseDesc,cr,type:'CR',ref}), raw: r });
+        if (dr > 0) txns.push({ external_id: ref ? `${ref}-DR` : null, txn_date: txnDate, amount: -Math.abs(dr), currency: 'USD', description: `${baseDesc} • DR`, memo: memoBase, balance_after: null, checksum: hashRow({effective,baseDesc,dr,type:'DR',ref}), raw: r });
+    }
+    return { txns };
+}
+
+async function persist(db, parsed, ctx) {
+    const importMetaId = await db.createImportMetadata('FNBPA', 'bank_batch', csvImportMetadata(ctx));
+    await db.addImportRecords(importMetaId, ctx.rows.map(r => ({ external_id: (r['Reference Number'] || r['reference number'] || r['Transaction ID'] || r['ID'] || null), checksum: hashRow(r), raw: r })));
+    const result = await db.insertBankTransactions('FNBPA', parsed.txns);
+    return { detectedType: 'bank_batch', imported: result.count, import_meta_id: importMetaId };
+}
+
+module.exports = { type: 'bank_batch', label: 'Bank Batch (FNBPA)', detect, parse, persist };
@@ -0,0 +1,42 @@
+// Generic bank statement CSV: date, signed amount (or credit/debit columns) and a description per row.
+// Matches many layouts loosely, so it scores below any source-specific importer.
+const { hashRow, headerMatcher, csvImportMetadata } = require('./shared');
+const { resolvePayeeVendors } = require('../vendors');
+const { normalizeCurrency } = require('../currency');
+
+function detect(ctx) {
+    const { any } = headerMatcher(ctx.headers);
+    if (any('date', 'posting date', 'transaction date') && any('amount', 'credit', 'debit') && any('description', 'memo', 'details')) return 0.5;
+    return 0;
+}
+
+function parse(ctx) {
+    const parseNumber = (v) => {
+        if (v == null) return 0;
+        const n = Number(String(v).replace(/[^0-9.-]/g, ''));
+        return isNaN(n) ? 0 : n;
+    };
+    const txns = [];
+    for (const r of ctx.rows) {
+        const date = r['Date'] || r['Transaction Date'] || r['Posting Date'] || r['TxnDate'];
+        const desc = r['Description'] || r['Memo'] || r['Details'] || '';
+        const memo = r['Memo'] || r['Notes'] || '';
+        const amount = r['Amount'] || r['Credit'] || r['Debit'] ? (r['Amount'] || r['Credit'] || `-${Math.abs(parseNumber(r['Debit']))}`) : (r['amount']);
+        const balance = r['Balance'] || r['Running Balance'] || null;
+        const payee = r['Payee'] || r['Vendor'] || r['Merchant'] || r['Name'] || null;
+        const parsedAmt = parseNumber(amount);
+        if (!parsedAmt) continue;
+        txns.push({ external_id: r['Transaction ID'] || r['ID'] || null, txn_date: date ? new Date(date) : new Date(), amount: parsedAmt, currency: normalizeCurrency(r['Currency']), description: String(desc).trim(), memo: String(memo).trim(), balance_after: balance ? parseNumber(balance) : null, category: r['Category'] || null, payee: payee ? String(payee).trim() : null, checksum: hashRow({date,desc,memo,amount,balance}), raw: r });
+    }
+    return { txns };
+}
+
+async function persist(db, parsed, ctx) {
+    const importMetaId = await db.createImportMetadata('BankCSV', 'bank_generic', csvImportMetadata(ctx));
+    await db.addImportRecords(importMetaId, ctx.rows.map(r => ({ external_id: (r['Reference Number'] || r['reference number'] || r['Transaction ID'] || r['ID'] || null), checksum: hashRow(r), raw: r })));
+    await resolvePayeeVendors(db, 'BankCSV', parsed.txns);
+    const result = await db.insertBankTransactions('BankCSV', parsed.txns);
+    return { detectedType: 'bank_generic', imported: result.count, import_meta_id: importMetaId };
+}
+
+module.exports = { type: 'bank_generic', label: 'Bank Transactions', detect, parse, persist };
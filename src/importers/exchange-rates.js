@@ -0,0 +1,25 @@
+// Exchange-rate CSV: Date, Currency and Rate columns (see parseRatesCsv in currency.js), loaded into the current
+// company's exchange_rates.
+const { headerMatcher, csvImportMetadata } = require('./shared');
+const { parseRatesCsv } = require('../currency');
+
+function detect(ctx) {
+    const { any } = headerMatcher(ctx.headers);
+    if (!any('rate', 'exchange rate')) return 0;
+    if (any('date', 'rate date', 'effective date') && any('currency', 'code', 'from')) return 0.85;
+    return 0;
+}
+
+// Rates are read in persist(), once the company's home currency is known
+function parse(ctx) {
+    return { rows: ctx.rows };
+}
+
+async function persist(db, parsed, ctx) {
+    const { rates, skipped } = parseRatesCsv(parsed.rows, await db.getHomeCurrency());
+    const importMetaId = await db.createImportMetadata('ExchangeRates', 'exchange_rates', csvImportMetadata(ctx));
+    const result = await db.upsertExchangeRates(rates, ctx.filename || 'CSV');
+    return { detectedType: 'exchange_rates', imported: result.count, skipped, import_meta_id: importMetaId };
+}
+
+module.exports = { type: 'exchange_rates', label: 'Exchange Rates', detect, parse, persist };
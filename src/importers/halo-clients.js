@@ -0,0 +1,32 @@
+// HaloPSA client (customer) export: one row per client, keyed by its Halo ID so invoices and payments imported later
+// with the same customer ID link to the same client. The row is kept as the client's metadata.
+const { headerMatcher } = require('./shared');
+const { CLIENT_ID_HEADERS, CLIENT_NAME_HEADERS, pick, persistClientRecords } = require('./halo-shared');
+
+function detect(ctx) {
+    const { all, any } = headerMatcher(ctx.headers);
+    // Site, user, contract and invoice exports also name their client; leave those to their own importers
+    if (any('site id', 'site name', 'user id', 'email address', 'first name', 'surname', 'contract ref', 'contract id',
+        'contract type', 'invoice number', 'invoice id', 'invoice date', 'amount', 'total')) return 0;
+    if (any(...CLIENT_ID_HEADERS) && any(...CLIENT_NAME_HEADERS)) return 0.7;
+    if (all('id', 'name') && any('top level', 'account manager', 'website', 'main site', 'client type', 'customer type')) return 0.7;
+    return 0;
+}
+
+function parse(ctx) {
+    const clients = ctx.rows.map((r, i) => ({
+        row: i + 1,
+        external_id: pick(r, 'Client ID', 'ClientID', 'Customer ID', 'CustomerID', 'ID'),
+        name: pick(r, 'Client Name', 'Client', 'Customer Name', 'Customer', 'Name'),
+        raw: r
+    }));
+    for (const c of clients) c.client = { external_id: c.external_id, name: c.name };
+    return { clients };
+}
+
+async function persist(db, parsed, ctx) {
+    return persistClientRecords(db, ctx, 'halo_clients', parsed.clients, (c, clientUuid) =>
+        db.updateClientDetails(clientUuid, { name: c.name, metadata: c.raw }));
+}
+
+module.exports = { type: 'halo_clients', label: 'Halo Clients', detect, parse, persist };
@@ -0,0 +1,44 @@
+// HaloPSA contract export: one row per client contract, linked to its site when the site was imported first. A
+// contract without a Halo ID is keyed by its reference.
+const { headerMatcher } = require('./shared');
+const { CLIENT_ID_HEADERS, CLIENT_NAME_HEADERS, pick, parseDateStr, parseNum, clientRef, persistClientRecords } = require('./halo-shared');
+
+function detect(ctx) {
+    const { any } = headerMatcher(ctx.headers);
+    if (!any(...CLIENT_ID_HEADERS, ...CLIENT_NAME_HEADERS)) return 0;
+    if (any('contract ref', 'contract reference', 'contract id', 'contract name', 'contract number', 'contract type')) return 0.85;
+    if (any('start date') && any('end date', 'expiry date') && any('billing period', 'billing cycle', 'contract value')) return 0.7;
+    return 0;
+}
+
+function parse(ctx) {
+    const contracts = ctx.rows.map((r, i) => {
+        const ref = pick(r, 'Contract Ref', 'Contract Reference', 'Contract Number', 'Contract Name', 'Reference', 'Ref', 'Name');
+        return {
+            row: i + 1,
+            client: clientRef(r),
+            site: { external_id: pick(r, 'Site ID', 'SiteID'), name: pick(r, 'Site', 'Site Name') },
+            external_id: pick(r, 'Contract ID', 'ContractID', 'ID') || ref,
+            name: ref,
+            contract_type: pick(r, 'Contract Type', 'Type'),
+            start_date: parseDateStr(pick(r, 'Start Date')),
+            end_date: parseDateStr(pick(r, 'End Date', 'Expiry Date')),
+            status: pick(r, 'Status'),
+            terms: pick(r, 'Terms', 'Notes'),
+            amount: parseNum(pick(r, 'Contract Value', 'Value', 'Amount', 'Price', 'Recurring Value')),
+            billing_cycle: pick(r, 'Billing Period', 'Billing Cycle', 'Billing Frequency', 'Invoice Frequency'),
+            raw: r
+        };
+    });
+    return { contracts };
+}
+
+async function persist(db, parsed, ctx) {
+    return persistClientRecords(db, ctx, 'halo_contracts', parsed.contracts, async (c, clientUuid) => {
+        if (!c.external_id) throw new Error('no contract ID or reference');
+        const locationUuid = await db.findLocationUuid('HaloPSA', clientUuid, c.site);
+        return db.upsertContract('HaloPSA', clientUuid, { ...c, metadata: c.raw }, locationUuid);
+    });
+}
+
+module.exports = { type: 'halo_contracts', label: 'Halo Contracts', detect, parse, persist };
@@ -0,0 +1,78 @@
+// HaloPSA invoice export: one row per invoice line, grouped by invoice number (or ID) into invoices with lines.
+const dayjs = require('dayjs');
+const { hashRow, headerMatcher, csvImportMetadata } = require('./shared');
+const { normalizeCurrency } = require('../currency');
+
+function detect(ctx) {
+    const { has, any } = headerMatcher(ctx.headers);
+    if (any('invoice number', 'invoice no', 'invoice #', 'inv', 'invoice', 'document number', 'invoiceid', 'invoice id')) return 0.75;
+    if (any('customer', 'customer name', 'account name', 'client', 'client name') &&
+        any('invoice date', 'date', 'invoicedate') &&
+        any('total', 'amount due', 'balance', 'subtotal')) {
+        return 0.6;
+    }
+    // A bare "ID" column or an invoice-ish filename is weak evidence on its own
+    if (has('id')) return 0.4;
+    if ((ctx.filename || '').toLowerCase().includes('invoice')) return 0.3;
+    return 0;
+}
+
+function parse(ctx) {
+    const map = new Map();
+    for (const r of ctx.rows) {
+        const num = String(r['Invoice Number'] || r['Number'] || r['Invoice'] || r['INV'] || r['Document Number'] || '').trim();
+        const extId = String(r['InvoiceID'] || r['Invoice ID'] || r['ID'] || '').trim();
+        const key = num || extId || hashRow({ r });
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(r);
+    }
+
+    const parseNum = (v) => v == null ? null : Number(String(v).replace(/[^0-9.-]/g, ''));
+    const parseDateStr = (v) => dayjs(v).isValid() ? dayjs(v).format('YYYY-MM-DD') : null;
+
+    const invoices = [];
+    for (const group of map.values()) {
+        const head = group[0];
+        const invoice = {
+            external_id: String(head['InvoiceID'] || head['Invoice ID'] || head['ID'] || head['Number'] || head['Document Number'] || '').trim() || null,
+            number: String(head['Invoice Number'] || head['Number'] || head['Document Number'] || '').trim() || null,
+            invoice_date: parseDateStr(head['Invoice Date'] || head['Date'] || head['InvoiceDate']),
+            due_date: parseDateStr(head['Due Date'] || head['DueDate']),
+            status: head['Status'] || null,
+            currency: normalizeCurrency(head['Currency'] || head['Document Currency']),
+            subtotal: parseNum(head['Subtotal']),
+            tax_total: head['Tax'] ? parseNum(head['Tax']) : (head['Tax Total'] ? parseNum(head['Tax Total']) : null),
+            total: parseNum(head['Total']),
+            balance: head['Balance'] ? parseNum(head['Balance']) : (head['Amount Due'] ? parseNum(head['Amount Due']) : null),
+            customer: {
+                external_id: head['CustomerID'] || head['Customer Id'] || head['Customer ID'] || null,
+                name: head['Customer'] || head['Customer Name'] || head['Account Name'] || null,
+                email: head['Customer Email'] || null,
+                address: head['Billing Address'] || null
+            },
+            raw: head
+        };
+        const lines = group.map(r => {
+            const qtyN = parseNum(r['Qty'] || r['Quantity']);
+            const priceN = parseNum(r['Unit Price'] || r['Price']);
+            const lineTotal = r['Line Total'] != null ? parseNum(r['Line Total']) : (qtyN != null && priceN != null ? Number((qtyN * priceN).toFixed(2)) : null);
+            return { item_code: r['Item Code'] || r['Item'] || r['SKU'] || null, description: r['Description'] || r['Item Description'] || null, quantity: qtyN, unit_price: priceN, tax_code: r['Tax Code'] || null, line_total: lineTotal, class: r['Class'] || null };
+        });
+        invoices.push({ invoice, lines });
+    }
+    return { invoices };
+}
+
+async function persist(db, parsed, ctx) {
+    const importMetaId = await db.createImportMetadata('HaloPSA', 'halo_invoices', csvImportMetadata(ctx));
+    await db.addImportRecords(importMetaId, ctx.rows.map(r => ({ external_id: r['InvoiceID'] || r['Invoice ID'] || r['ID'] || null, checksum: hashRow(r), raw: r })));
+
+    let imported = 0;
+    for (const { invoice, lines } of parsed.invoices) {
+        await db.upsertInvoiceWithLines('HaloPSA', invoice, lines);
+        imported++;
+    }
+    return { detectedType: 'halo_invoices', imported, import_meta_id: importMetaId };
+}
+
+module.exports = { type: 'halo_invoices', label: 'Halo Invoices', detect, parse, persist };
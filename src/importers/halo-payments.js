@@ -0,0 +1,47 @@
+// HaloPSA payment export: one payment per row, optionally with a processor fee.
+const dayjs = require('dayjs');
+const { hashRow, headerMatcher, csvImportMetadata } = require('./shared');
+const { normalizeCurrency } = require('../currency');
+
+function detect(ctx) {
+    const { has, any } = headerMatcher(ctx.headers);
+    if (any('payment id', 'paymentid', 'payment number')) return 0.9;
+    if (has('payment date') && any('amount paid', 'payment amount')) return 0.85;
+    return 0;
+}
+
+function parse(ctx) {
+    const parseNum = (v) => v == null || v === '' ? null : Number(String(v).replace(/[^0-9.-]/g, ''));
+    const parseDateStr = (v) => dayjs(v).isValid() ? dayjs(v).format('YYYY-MM-DD') : null;
+
+    const payments = [];
+    for (const r of ctx.rows) {
+        const gross = parseNum(r['Amount Paid'] || r['Payment Amount'] || r['Amount']);
+        if (!gross) continue;
+        const fee = parseNum(r['Fee'] || r['Fee Amount']);
+        const customerName = r['Customer'] || r['Customer Name'] || r['Client'] || r['Client Name'] || null;
+        payments.push({
+            external_id: String(r['Payment ID'] || r['PaymentID'] || r['Payment Number'] || r['ID'] || '').trim() || hashRow(r),
+            invoice_number: String(r['Invoice Number'] || r['Invoice No'] || r['Invoice'] || '').trim() || null,
+            customer: customerName ? { external_id: r['CustomerID'] || r['Customer ID'] || r['Client ID'] || null, name: customerName } : null,
+            payment_date: parseDateStr(r['Payment Date'] || r['Date']),
+            amount_gross: gross,
+            fee_amount: fee,
+            amount_net: fee ? Math.round((gross - fee) * 100) / 100 : gross,
+            currency: normalizeCurrency(r['Currency']),
+            method: r['Payment Method'] || r['Method'] || null,
+            status: r['Status'] || null,
+            raw: r
+        });
+    }
+    return { payments };
+}
+
+async function persist(db, parsed, ctx) {
+    const importMetaId = await db.createImportMetadata('HaloPSA', 'halo_payments', csvImportMetadata(ctx));
+    await db.addImportRecords(importMetaId, ctx.rows.map(r => ({ external_id: r['Payment ID'] || r['PaymentID'] || r['ID'] || null, checksum: hashRow(r), raw: r })));
+    const result = await db.upsertPayments('HaloPSA', parsed.payments);
+    return { detectedType: 'halo_payments', imported: result.count, import_meta_id: importMetaId };
+}
+
+module.exports = { type: 'halo_payments', label: 'Halo Payments', detect, parse, persist };
@@ -0,0 +1,69 @@
+// Helpers shared by the HaloPSA client-master importers (clients, sites, users, contracts). This file exports no
+// detect() and is not registered.
+const dayjs = require('dayjs');
+const { hashRow, csvImportMetadata } = require('./shared');
+
+// Headers that point a site, user or contract row at its client. Halo labels clients "Customers" in some setups.
+const CLIENT_ID_HEADERS = ['client id', 'clientid', 'customer id', 'customerid'];
+const CLIENT_NAME_HEADERS = ['client', 'client name', 'customer', 'customer name'];
+
+// First non-empty value among the named columns, matched case-insensitively on trimmed header names
+function pick(row, ...names) {
+    const wanted = names.map(n => n.toLowerCase());
+    for (const name of wanted) {
+        for (const key of Object.keys(row)) {
+            if (key.trim().toLowerCase() !== name) continue;
+            const v = row[key] == null ? '' : String(row[key]).trim();
+            if (v) return v;
+        }
+    }
+    return null;
+}
+
+const parseDateStr = (v) => v && dayjs(v).isValid() ? dayjs(v).format('YYYY-MM-DD') : null;
+
+const parseNum = (v) => {
+    if (v == null || String(v).trim() === '') return null;
+    const n = Number(String(v).replace(/[^0-9.-]/g, ''));
+    return isNaN(n) ? null : n;
+};
+
+// The client a site, user or contract row belongs to
+function clientRef(row) {
+    return {
+        external_id: pick(row, 'Client ID', 'ClientID', 'Customer ID', 'CustomerID'),
+        name: pick(row, 'Client', 'Client Name', 'Customer', 'Customer Name')
+    };
+}
+
+// Records the import and its rows, then persists each parsed record with persistRecord(record, clientUuid).
+// Clients are resolved once per file through getOrCreateClient, so a row naming an unknown client creates it; rows
+// with no client reference, or that persistRecord rejects, are reported as skipped.
+async function persistClientRecords(db, ctx, type, records, persistRecord) {
+    const importMetaId = await db.createImportMetadata('HaloPSA', type, csvImportMetadata(ctx));
+    await db.addImportRecords(importMetaId, records.map(r => ({ external_id: r.external_id || null, checksum: hashRow(r.raw), raw: r.raw })));
+
+    const clients = new Map();
+    const skipped = [];
+    let imported = 0;
+    for (const record of records) {
+        const { client } = record;
+        if (!client.external_id && !client.name) {
+            skipped.push({ row: record.row, reason: 'no client ID or client name' });
+            continue;
+        }
+        const key = client.external_id ? `id:${client.external_id}` : `name:${client.name.toLowerCase()}`;
+        try {
+            if (!clients.has(key)) {
+                clients.set(key, (await db.getOrCreateClient('HaloPSA', { external_id: client.external_id, name: client.name || client.external_id })).clientUuid);
+            }
+            await persistRecord(record, clients.get(key));
+            imported++;
+        } catch (err) {
+            skipped.push({ row: record.row, reason: err.message });
+        }
+    }
+    return { detectedType: type, imported, clients: clients.size, skipped, import_meta_id: importMetaId };
+}
+
+module.exports = { CLIENT_ID_HEADERS, CLIENT_NAME_HEADERS, pick, parseDateStr, parseNum, clientRef, persistClientRecords };
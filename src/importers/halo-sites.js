@@ -0,0 +1,43 @@
+// HaloPSA site export: one row per client site, stored as a location of that client. A site without a Halo ID is
+// keyed by its client and name so re-importing the export updates it.
+const { headerMatcher } = require('./shared');
+const { CLIENT_ID_HEADERS, CLIENT_NAME_HEADERS, pick, clientRef, persistClientRecords } = require('./halo-shared');
+
+function detect(ctx) {
+    const { any } = headerMatcher(ctx.headers);
+    if (any('user id', 'email address', 'first name', 'surname', 'contract ref', 'contract id')) return 0;
+    if (!any(...CLIENT_ID_HEADERS, ...CLIENT_NAME_HEADERS)) return 0;
+    if (any('site id', 'site name')) return 0.8;
+    if (any('site', 'name') && any('address line 1', 'address 1', 'line 1', 'postcode', 'post code', 'postal code', 'zip', 'zip code', 'city', 'town')) return 0.75;
+    return 0;
+}
+
+function parse(ctx) {
+    const sites = ctx.rows.map((r, i) => {
+        const client = clientRef(r);
+        const name = pick(r, 'Site Name', 'Site', 'Name');
+        return {
+            row: i + 1,
+            client,
+            external_id: pick(r, 'Site ID', 'SiteID', 'ID') || (name ? `${client.external_id || client.name}:${name}` : null),
+            name,
+            address1: pick(r, 'Address Line 1', 'Address 1', 'Line 1', 'Address', 'Street'),
+            address2: pick(r, 'Address Line 2', 'Address 2', 'Line 2'),
+            city: pick(r, 'City', 'Town', 'Line 3'),
+            state: pick(r, 'State', 'County', 'Region', 'Line 4'),
+            postal_code: pick(r, 'Postcode', 'Post Code', 'Postal Code', 'Zip', 'Zip Code'),
+            country: pick(r, 'Country'),
+            raw: r
+        };
+    });
+    return { sites };
+}
+
+async function persist(db, parsed, ctx) {
+    return persistClientRecords(db, ctx, 'halo_sites', parsed.sites, (s, clientUuid) => {
+        if (!s.name) throw new Error('no site name');
+        return db.upsertLocation('HaloPSA', clientUuid, { ...s, metadata: s.raw });
+    });
+}
+
+module.exports = { type: 'halo_sites', label: 'Halo Sites', detect, parse, persist };
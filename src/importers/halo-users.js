@@ -0,0 +1,51 @@
+// HaloPSA user export: the end users (contacts) of each client, linked to their site when the site was imported
+// first. A user without a Halo ID is keyed by email address.
+const { headerMatcher } = require('./shared');
+const { CLIENT_ID_HEADERS, CLIENT_NAME_HEADERS, pick, clientRef, persistClientRecords } = require('./halo-shared');
+
+function detect(ctx) {
+    const { any } = headerMatcher(ctx.headers);
+    if (any('contract ref', 'contract id', 'invoice number', 'invoice id')) return 0;
+    if (!any(...CLIENT_ID_HEADERS, ...CLIENT_NAME_HEADERS)) return 0;
+    if (any('user id', 'first name', 'surname', 'last name', 'job title') && any('email address', 'email', 'e-mail', 'phone number', 'mobile')) return 0.8;
+    if (any('email address', 'email') && any('site', 'site name', 'site id') && any('name', 'user name', 'full name')) return 0.75;
+    return 0;
+}
+
+// "Jane Smith" as first and last name; a single word is taken as the first name
+function splitName(full) {
+    const parts = String(full || '').trim().split(/\s+/).filter(Boolean);
+    return { first_name: parts.shift() || null, last_name: parts.join(' ') || null };
+}
+
+function parse(ctx) {
+    const users = ctx.rows.map((r, i) => {
+        const email = pick(r, 'Email Address', 'Email', 'E-mail');
+        let first_name = pick(r, 'First Name', 'Firstname', 'Forename');
+        let last_name = pick(r, 'Surname', 'Last Name', 'Lastname');
+        if (!first_name && !last_name) ({ first_name, last_name } = splitName(pick(r, 'Name', 'User Name', 'Full Name')));
+        return {
+            row: i + 1,
+            client: clientRef(r),
+            site: { external_id: pick(r, 'Site ID', 'SiteID'), name: pick(r, 'Site', 'Site Name') },
+            external_id: pick(r, 'User ID', 'UserID', 'ID') || (email ? email.toLowerCase() : null),
+            first_name,
+            last_name,
+            email,
+            phone: pick(r, 'Phone Number', 'Phone', 'Telephone', 'Mobile', 'Mobile Number'),
+            role: pick(r, 'Job Title', 'Title', 'Role'),
+            raw: r
+        };
+    });
+    return { users };
+}
+
+async function persist(db, parsed, ctx) {
+    return persistClientRecords(db, ctx, 'halo_users', parsed.users, async (u, clientUuid) => {
+        if (!u.first_name && !u.last_name && !u.email) throw new Error('no name or email address');
+        const locationUuid = await db.findLocationUuid('HaloPSA', clientUuid, u.site);
+        return db.upsertContact('HaloPSA', clientUuid, { ...u, metadata: u.raw }, locationUuid);
+    });
+}
+
+module.exports = { type: 'halo_users', label: 'Halo Users', detect, parse, persist };
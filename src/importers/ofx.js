@@ -0,0 +1,60 @@
+// OFX/QFX statement downloads (SGML OFX 1.x and XML OFX 2.x, see ofx.js). Each transaction's FITID, prefixed with
+// its account, becomes the bank line's external_id, so downloads with overlapping dates never repeat a line. The
+// account the statement is for is recorded in bank_accounts and the statement period and ledger balance in
+// bank_statements.
+const { parseOfx } = require('../ofx');
+const { hashRow, accountExternalId, persistStatements } = require('./shared');
+const { normalizeCurrency } = require('../currency');
+
+function detect(ctx) {
+    return ctx.format === 'ofx' ? 1 : 0;
+}
+
+function parse(ctx) {
+    const { header, statements } = parseOfx(ctx.content);
+    if (!statements.length) throw new Error('OFX file contains no bank or credit card statement');
+    // Lines whose amount cannot be read are reported rather than imported; zero-amount lines are not bank lines
+    const skipped = [];
+    for (const s of statements) {
+        for (const t of s.transactions) {
+            if (t.amount == null) skipped.push({ fitid: t.fitid, posted: t.posted, reason: 'amount could not be read' });
+        }
+        s.txns = s.transactions.filter(t => t.amount).map(t => ({
+            // A FITID is unique within its account only; a line without one is keyed by its content instead
+            external_id: accountExternalId(s.account, t.fitid || hashRow({ account: s.account, ...t })),
+            txn_date: t.posted,
+            amount: t.amount,
+            currency: normalizeCurrency(t.currency || s.currency),
+            description: t.name || t.memo || t.type || '',
+            memo: [t.name ? t.memo : null, t.check_number ? `Check ${t.check_number}` : null].filter(Boolean).join(' | '),
+            payee: t.name || null,
+            txn_type: t.type ? t.type.toLowerCase() : null,
+            raw: t
+        }));
+    }
+    return { header, statements, skipped };
+}
+
+async function persist(db, parsed, ctx) {
+    const txns = parsed.statements.flatMap(s => s.txns);
+    const importMetaId = await db.createImportMetadata('OFX', 'ofx', {
+        original_filename: ctx.filename,
+        content_type: ctx.mimetype || 'application/x-ofx',
+        row_count: txns.length,
+        raw_headers: parsed.header,
+        sample: txns.slice(0, 5).map(t => t.raw)
+    });
+    await db.addImportRecords(importMetaId, txns.map(t => ({ external_id: t.external_id, checksum: hashRow(t.raw), raw: t.raw })));
+
+    const result = await persistStatements(db, 'OFX', importMetaId, parsed.statements);
+    return {
+        detectedType: 'ofx',
+        imported: result.inserted,
+        already_imported: result.total - result.inserted,
+        skipped: parsed.skipped,
+        statements: result.statements,
+        import_meta_id: importMetaId
+    };
+}
+
+module.exports = { type: 'ofx', label: 'OFX/QFX Statement', detect, parse, persist };
@@ -0,0 +1,51 @@
+// Purchase-order lines grouped into vendor bills. Recognised by a po_id column, by the vendor/ref/item/qty/cost
+// header synonyms parseBillsFromCsv understands, or by a saved column profile matching the header fingerprint.
+const { parseBillsFromCsv } = require('../csv');
+const { applyAccountRules } = require('../rules');
+const { applyProfile } = require('../profiles');
+const { applyPurchaseTax } = require('../tax');
+const { applyTerms } = require('../terms');
+const { resolveBillVendors } = require('../vendors');
+const { applyItemMappings } = require('../items');
+const { hashRow, headerMatcher, csvImportMetadata } = require('./shared');
+
+function detect(ctx) {
+    if (ctx.profile && ctx.profile.target_type === 'po_bills') return 1;
+    const { has, any } = headerMatcher(ctx.headers);
+    if (has('po_id')) return 0.95;
+    if (any('vendor', 'supplier', 'vendor name') &&
+        any('refnumber', 'ref number', 'reference', 'reference number', 'docnum', 'document number') &&
+        any('item', 'item code', 'sku', 'product', 'product code', 'description') &&
+        any('qty', 'quantity', 'qnty') &&
+        any('cost', 'unit cost', 'price', 'unit price', 'rate')) {
+        return 0.8;
+    }
+    return 0;
+}
+
+function parse(ctx) {
+    const rows = ctx.profile ? applyProfile(ctx.profile, ctx.rows) : ctx.rows;
+    return { rows, bills: parseBillsFromCsv(rows) };
+}
+
+async function persist(db, parsed, ctx) {
+    const metaId = await db.createImportMetadata('LocalCSV', 'po_bills', csvImportMetadata(ctx, {
+        column_profile_id: ctx.profile ? ctx.profile.id : null
+    }));
+    await db.addImportRecords(metaId, ctx.rows.map((r, i) => ({ external_id: parsed.rows[i]['RefNumber'] || parsed.rows[i]['Ref Number'] || null, checksum: hashRow(r), raw: r })));
+    const importResult = await db.storeCsvImport(ctx.filename, ctx.content);
+    if (importResult.isDuplicate) {
+        return { error: importResult.message, isDuplicate: true, importId: importResult.id, detectedType: 'po_bills' };
+    }
+    // Vendors and items resolve first so account rules and vendor default terms see the QuickBooks names
+    await resolveBillVendors(db, parsed.bills, 'LocalCSV');
+    await applyItemMappings(db, parsed.bills);
+    const bills = await applyTerms(db, await applyPurchaseTax(db, await applyAccountRules(db, parsed.bills)));
+    const unmapped = new Set(bills.flatMap(b => b.lines.filter(l => !l.item_mapped).map(l => l.source_item)));
+    return {
+        bills, unmapped_items: [...unmapped], filePath: ctx.filename, importId: importResult.id, isDuplicate: false, import_meta_id: metaId, detectedType: 'po_bills',
+        profile: ctx.profile ? ctx.profile.name : null
+    };
+}
+
+module.exports = { type: 'po_bills', label: 'Purchase Orders', detect, parse, persist };
@@ -0,0 +1,69 @@
+// QuickBooks list round-trip: ACCNT seeds qbd_accounts, INVITEM seeds catalog_items, VEND seeds vendors,
+// CLASS seeds qbd_classes.
+// TRNS blocks are parsed and kept in import_records but not posted anywhere.
+const { parseIif } = require('../iif');
+const { hashRow } = require('./shared');
+
+function detect(ctx) {
+    return ctx.isIif ? 1 : 0;
+}
+
+function parse(ctx) {
+    const parsed = parseIif(ctx.content);
+    const parseNum = (v) => v == null || v === '' ? null : Number(String(v).replace(/[^0-9.-]/g, ''));
+    const accounts = (parsed.lists.ACCNT || []).filter(a => a.NAME).map(a => ({ name: a.NAME, account_type: a.ACCNTTYPE || null }));
+    const items = (parsed.lists.INVITEM || []).filter(i => i.NAME).map(i => ({
+        external_id: i.REFNUM || null,
+        item_code: i.NAME,
+        name: i.NAME,
+        description: i.DESC || i.PURCHASEDESC || null,
+        category: i.INVITEMTYPE || null,
+        unit_cost: parseNum(i.COST),
+        unit_price: parseNum(i.PRICE),
+        tax_code: i.TAXABLE || null,
+        is_active: i.HIDDEN !== 'Y'
+    }));
+    const vendors = (parsed.lists.VEND || []).filter(v => v.NAME).map(v => ({
+        external_id: v.NAME,
+        name: v.NAME,
+        address: [v.ADDR1, v.ADDR2, v.ADDR3, v.ADDR4, v.ADDR5].filter(Boolean).join(', ') || null
+    }));
+    const classes = (parsed.lists.CLASS || []).filter(c => c.NAME && c.HIDDEN !== 'Y').map(c => c.NAME);
+    return { iif: parsed, accounts, items, vendors, classes };
+}
+
+async function persist(db, parsed, ctx) {
+    const { iif, accounts, items, vendors, classes } = parsed;
+    const listRecords = Object.entries(iif.lists).flatMap(([type, recs]) => recs.map(r => ({ type, ...r })));
+    const importMetaId = await db.createImportMetadata('QuickBooks', 'qbd_iif', {
+        original_filename: ctx.filename,
+        content_type: ctx.mimetype || 'text/plain',
+        row_count: listRecords.length + iif.transactions.length,
+        raw_headers: iif.headers,
+        sample: listRecords.slice(0, 5)
+    });
+    await db.addImportRecords(importMetaId, [
+        ...listRecords.map(r => ({ external_id: r.NAME || null, checksum: hashRow(r), raw: r })),
+        ...iif.transactions.map(t => ({ external_id: t.trns.DOCNUM || null, checksum: hashRow(t), raw: t }))
+    ]);
+
+    if (accounts.length) await db.seedQbdAccounts(accounts);
+    if (items.length) await db.upsertCatalogItems('QuickBooks', items);
+    if (vendors.length) await db.upsertVendors('QuickBooks', vendors);
+    if (classes.length) await db.upsertQbdClasses(classes);
+
+    const skippedLists = Object.keys(iif.lists).filter(t => !['ACCNT', 'INVITEM', 'VEND', 'CLASS'].includes(t));
+    return {
+        detectedType: 'qbd_iif',
+        imported: accounts.length + items.length + vendors.length + classes.length,
+        accounts: accounts.length,
+        items: items.length,
+        vendors: vendors.length,
+        classes: classes.length,
+        transactions_parsed: iif.transactions.length,
+        skipped_lists: skippedLists,
+        import_meta_id: importMetaId
+    };
+}
+
+module.exports = { type: 'qbd_iif', label: 'QuickBooks IIF', detect, parse, persist };
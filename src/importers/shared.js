@@ -0,0 +1,77 @@
+// Helpers shared by the importer modules in this directory. This file exports no detect() and is not registered.
+const crypto = require('crypto');
+const { resolvePayeeVendors } = require('../vendors');
+
+function hashRow(obj) {
+    return crypto.createHash('md5').update(JSON.stringify(obj)).digest('hex');
+}
+
+// Lowercased, trimmed header names with any/all helpers for detect() functions
+function headerMatcher(headers) {
+    const has = (name) => headers.includes(name);
+    return {
+        has,
+        any: (...names) => names.some(has),
+        all: (...names) => names.every(has)
+    };
+}
+
+// Standard import_metadata payload for a CSV-based import
+function csvImportMetadata(ctx, extra = {}) {
+    return {
+        original_filename: ctx.filename,
+        content_type: ctx.mimetype || 'text/csv',
+        row_count: ctx.rows.length,
+        raw_headers: ctx.rows.length ? Object.keys(ctx.rows[0]) : [],
+        sample: ctx.rows.slice(0, 5),
+        ...extra
+    };
+}
+
+// Statement line IDs (OFX FITIDs, bank references) are only unique within one account, so the external_id of a
+// statement line is prefixed with the account it belongs to
+function accountExternalId(account, id) {
+    return `${account.bank_id || ''}:${account.account_number || ''}:${id}`;
+}
+
+// Bank statement files (OFX, BAI2, CAMT.053). Each statement is
+//   { account: { bank_id, branch_id, account_number, account_type }, currency, period: { start, end },
+//     ledger_balance, ledger_balance_date, available_balance, available_balance_date, txns }
+// Its account is recorded in bank_accounts, its period and balances in bank_statements, and its lines go through
+// insertBankTransactions against that account. Returns the counts and a summary per statement for the import result.
+async function persistStatements(db, sourceName, importMetaId, statements) {
+    let inserted = 0;
+    let total = 0;
+    const summaries = [];
+    for (const s of statements) {
+        const bankAccountId = await db.upsertBankAccount({ ...s.account, currency: s.currency });
+        for (const t of s.txns) t.bank_account_id = bankAccountId;
+        await resolvePayeeVendors(db, sourceName, s.txns);
+        const result = await db.insertBankTransactions(sourceName, s.txns);
+        inserted += result.inserted;
+        total += result.count;
+        await db.recordBankStatement({
+            bank_account_id: bankAccountId,
+            import_metadata_id: importMetaId,
+            start_date: s.period.start,
+            end_date: s.period.end,
+            ledger_balance: s.ledger_balance,
+            ledger_balance_date: s.ledger_balance_date,
+            available_balance: s.available_balance,
+            available_balance_date: s.available_balance_date,
+            currency: s.currency,
+            txn_count: s.txns.length
+        });
+        summaries.push({
+            bank_account_id: bankAccountId,
+            account: `${s.account.account_type || 'Account'} ****${String(s.account.account_number || '').slice(-4)}`,
+            start_date: s.period.start,
+            end_date: s.period.end,
+            ledger_balance: s.ledger_balance,
+            transactions: s.txns.length
+        });
+    }
+    return { inserted, total, statements: summaries };
+}
+
+module.exports = { hashRow, headerMatcher, csvImportMetadata, accountExternalId, persistStatements };
@@ -0,0 +1,98 @@
+// Stripe dashboard CSV exports: the balance history ("Balance transactions") export and the itemized balance-change and
+// payout reconciliation reports. Every row is one balance transaction and is mapped exactly like the Stripe backfill
+// (see stripe.js), so a file and an API backfill covering the same period do not create duplicates. Rows carrying a
+// payout id (automatic_payout_id in the reconciliation report, Transfer in the balance export) are grouped into
+// stripe_payouts; importing a file again adds the payout to lines imported before it was paid out.
+const { hashRow, headerMatcher, csvImportMetadata } = require('./shared');
+const { resolvePayeeVendors } = require('../vendors');
+const { balanceTransactionRecords, payoutsFromTransactions } = require('../stripe');
+
+function detect(ctx) {
+    const { has, any, all } = headerMatcher(ctx.headers);
+    if (!any('amount', 'net', 'gross')) return 0;
+    if (all('automatic_payout_id', 'balance_transaction_id')) return 0.95;
+    if (any('balance transaction id', 'balance_transaction_id')) return 0.9;
+    if (all('id', 'type', 'fee', 'net') && any('created (utc)', 'created_utc', 'created')) return 0.85;
+    // "Type" + "Amount" is common to many exports, so only a weak signal
+    if (has('type')) return 0.3;
+    return 0;
+}
+
+// Dashboard exports say "2025-01-15 10:23" meaning UTC; reports may carry ISO timestamps or epoch seconds
+function parseCreated(value) {
+    const v = String(value || '').trim();
+    if (!v) return null;
+    if (/^\d+$/.test(v)) return new Date(Number(v) * 1000);
+    const iso = v.replace(' ', 'T');
+    const d = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(iso) || !iso.includes('T') ? iso : `${iso}Z`);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function parse(ctx) {
+    const parseNum = (v) => v == null || String(v).trim() === '' ? null : Number(String(v).replace(/[^0-9.-]/g, ''));
+    const txns = [];
+    const payments = [];
+    const records = [];
+    const payoutDates = {};
+    const skipped = [];
+    for (const [i, r] of ctx.rows.entries()) {
+        // Column names differ in case and spelling between the export and the reports
+        const row = Object.fromEntries(Object.entries(r).map(([k, v]) => [String(k).trim().toLowerCase(), v]));
+        const pick = (...names) => names.map(n => row[n]).find(v => v != null && String(v).trim() !== '');
+        const id = String(pick('id', 'balance_transaction_id', 'balance transaction id') || '').trim();
+        if (!id) continue;
+        // A line without a readable date would be booked on the import day, so it is reported instead
+        const created = parseCreated(pick('created (utc)', 'created_utc', 'created', 'created date (utc)'));
+        if (!created) {
+            skipped.push({ row: i + 1, reason: `${id}: missing or unreadable Created date` });
+            continue;
+        }
+        const amount = parseNum(pick('amount', 'gross')) || 0;
+        const fee = parseNum(pick('fee')) || 0;
+        const net = parseNum(pick('net'));
+        const customerId = pick('customer_id', 'customer id');
+        const customerName = pick('customer_name', 'customer name', 'customer_email', 'customer email');
+        const payoutId = String(pick('automatic_payout_id', 'payout_id', 'payout id', 'transfer') || '').trim() || null;
+        const payoutDate = parseCreated(pick('automatic_payout_effective_at', 'automatic_payout_effective_at_utc', 'transfer date (utc)', 'transfer date'));
+        if (payoutId && payoutDate) payoutDates[payoutId] = payoutDate;
+        const { txn, payment } = balanceTransactionRecords({
+            id,
+            type: String(pick('type', 'reporting_category', 'reporting category') || '').trim().toLowerCase(),
+            source: pick('source', 'source_id', 'source id') || null,
+            amount,
+            fee,
+            net: net != null ? net : Math.round((amount - fee) * 100) / 100,
+            currency: pick('currency'),
+            created,
+            status: pick('status') || null,
+            description: pick('description') || '',
+            customer: customerId ? { external_id: customerId, name: customerName || customerId } : null,
+            payout_id: payoutId,
+            raw: r
+        });
+        txns.push(txn);
+        if (payment) payments.push(payment);
+        records.push({ external_id: id, checksum: hashRow(r), raw: r });
+    }
+    return { txns, payments, records, skipped, payouts: payoutsFromTransactions(txns, payoutDates) };
+}
+
+async function persist(db, parsed, ctx) {
+    const importMetaId = await db.createImportMetadata('Stripe', 'stripe_csv', csvImportMetadata(ctx));
+    await db.addImportRecords(importMetaId, parsed.records);
+    await resolvePayeeVendors(db, 'Stripe', parsed.txns);
+    const result = await db.insertBankTransactions('Stripe', parsed.txns);
+    const paymentResult = await db.upsertPayments('Stripe', parsed.payments);
+    const payoutResult = await db.upsertStripePayouts(parsed.payouts);
+    return {
+        detectedType: 'stripe_csv',
+        imported: result.inserted,
+        already_imported: result.count - result.inserted,
+        payments: paymentResult.count,
+        payouts: payoutResult.count,
+        skipped: parsed.skipped,
+        import_meta_id: importMetaId
+    };
+}
+
+module.exports = { type: 'stripe_csv', label: 'Stripe CSV', detect, parse, persist };
@@ -0,0 +1,62 @@
+// QuickBooks item names for PO and invoice lines. Source files often carry a free-text description or a vendor SKU
+// where QuickBooks expects an INVITEM name (31 characters at most), so item_mappings maps source item strings to
+// the QuickBooks item. A mapping's source_item is matched case-insensitively with runs of whitespace collapsed;
+// "*" is a wildcard. Exact mappings win over wildcard ones, and longer wildcard patterns over shorter ones.
+// A line whose item already is a QuickBooks item (an INVITEM imported from a QuickBooks list) counts as mapped.
+
+const QB_ITEM_MAX = 31;
+
+const normalizeItem = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+function validateItemMapping(mapping) {
+    if (!normalizeItem(mapping.source_item)) throw new Error('source_item is required');
+    const qbItem = String(mapping.qb_item || '').trim();
+    if (!qbItem) throw new Error('qb_item is required');
+    if (qbItem.length > QB_ITEM_MAX) throw new Error(`qb_item must be at most ${QB_ITEM_MAX} characters`);
+}
+
+function compileMapping(mapping) {
+    const key = normalizeItem(mapping.source_item);
+    if (!key.includes('*')) return { ...mapping, exact: key };
+    const escaped = key.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return { ...mapping, re: new RegExp(`^${escaped}$`), specificity: key.replace(/\*/g, '').length };
+}
+
+// Returns (sourceItem) -> { item, mapped, mapping_id }; unmapped items come back unchanged
+function createItemResolver(mappings, qbItems = []) {
+    const compiled = (mappings || []).filter(m => m.active !== false).map(compileMapping);
+    const exact = new Map(compiled.filter(m => m.exact).map(m => [m.exact, m]));
+    const wildcards = compiled.filter(m => m.re).sort((a, b) => b.specificity - a.specificity);
+    const known = new Map((qbItems || []).map(name => [normalizeItem(name), name]));
+    return (sourceItem) => {
+        const key = normalizeItem(sourceItem);
+        const mapping = exact.get(key) || wildcards.find(m => m.re.test(key));
+        if (mapping) return { item: mapping.qb_item, mapped: true, mapping_id: mapping.id };
+        if (known.has(key)) return { item: known.get(key), mapped: true, mapping_id: null };
+        return { item: sourceItem, mapped: false, mapping_id: null };
+    };
+}
+
+async function loadItemResolver(db) {
+    const mappings = (await db.getItemMappings?.({ activeOnly: true })) || [];
+    const qbItems = (await db.getQbdItemNames?.()) || [];
+    return createItemResolver(mappings, qbItems);
+}
+
+// Sets line.item to the QuickBooks item and keeps the original in line.source_item, so applying it again (the
+// exporters re-map stored bills) picks up mappings added since the import. line.item_mapped flags the rest.
+async function applyItemMappings(db, bills) {
+    const resolve = await loadItemResolver(db);
+    for (const bill of bills || []) {
+        for (const line of bill.lines || []) {
+            if (!line.source_item) line.source_item = line.item;
+            const { item, mapped, mapping_id } = resolve(line.source_item);
+            line.item = item;
+            line.item_mapped = mapped;
+            line.item_mapping_id = mapping_id;
+        }
+    }
+    return bills;
+}
+
+module.exports = { QB_ITEM_MAX, normalizeItem, validateItemMapping, createItemResolver, loadItemResolver, applyItemMappings };
@@ -0,0 +1,134 @@
+// Reader for OFX/QFX bank and credit-card statement downloads. OFX 1.x is SGML: a "OFXHEADER:100" header block, then
+// tags where aggregates are closed but values usually are not (<TRNAMT>-12.50 with no </TRNAMT>). OFX 2.x is XML with
+// every element closed. Both are read by one tag scanner, so neither needs an XML or SGML library.
+
+function looksLikeOfx(content, filename = '') {
+    if (/\.(ofx|qfx)$/i.test(filename || '')) return true;
+    const head = String(content || '').replace(/^\uFEFF/, '').trimStart().slice(0, 1024);
+    return /^OFXHEADER:/i.test(head) || /<\?OFX\s/i.test(head) || /^<OFX>/i.test(head);
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(lt|gt|amp|quot|apos|nbsp);/gi, (m, e) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' })[e.toLowerCase()]);
+}
+
+// Element tree of the <OFX> body: { tag, text, children }. A tag followed by text is a value; an empty one is an
+// aggregate that stays open until its closing tag, unless the document never closes that tag (an empty SGML value).
+// Closing tags for values (XML) are skipped, and a closing tag pops whatever is still open inside it.
+function parseTree(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const start = text.search(/<OFX>/i);
+    if (start < 0) throw new Error('No <OFX> element found; not an OFX file');
+    const closed = new Set([...text.matchAll(/<\/([A-Za-z0-9._]+)\s*>/g)].map(m => m[1].toUpperCase()));
+    const root = { tag: 'ROOT', text: '', children: [] };
+    const stack = [root];
+    const re = /<(\/?)([A-Za-z0-9._]+)\s*(\/?)>([^<]*)/g;
+    let m;
+    re.lastIndex = start;
+    while ((m = re.exec(text))) {
+        const [, closing, name, selfClosing, after] = m;
+        const tag = name.toUpperCase();
+        if (closing) {
+            const idx = stack.map(n => n.tag).lastIndexOf(tag);
+            if (idx > 0) stack.length = idx;
+            continue;
+        }
+        const node = { tag, text: selfClosing ? '' : decodeEntities(after.trim()), children: [] };
+        stack[stack.length - 1].children.push(node);
+        if (!selfClosing && !node.text && closed.has(tag)) stack.push(node);
+    }
+    return root;
+}
+
+// First descendant along a path of tags ('BANKACCTFROM.ACCTID'), or null
+function find(node, path) {
+    let current = node;
+    for (const tag of path.split('.')) {
+        current = current && current.children.find(c => c.tag === tag);
+        if (!current) return null;
+    }
+    return current;
+}
+
+function findAll(node, tag) {
+    const out = [];
+    for (const child of node.children) {
+        if (child.tag === tag) out.push(child);
+        else out.push(...findAll(child, tag));
+    }
+    return out;
+}
+
+const valueOf = (node, path) => {
+    const n = find(node, path);
+    return n && n.text ? n.text : null;
+};
+
+// OFX datetimes are YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]; the posting day is what a bank line needs
+function ofxDate(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function ofxAmount(value) {
+    if (value == null) return null;
+    const v = String(value).trim().replace(/[^0-9.,+-]/g, '');
+    // Some banks write decimal commas ("-12,50", "1.234,56"); otherwise a comma groups thousands ("1,234.56"), as
+    // does a lone comma with one to three digits before it and exactly three after ("1,234", but not "0,125")
+    const decimalComma = v.lastIndexOf(',') > v.lastIndexOf('.')
+        && (v.includes('.') || (v.split(',').length === 2 && !/^[+-]?[1-9]\d{0,2},\d{3}$/.test(v)));
+    const n = Number(decimalComma ? v.replace(/\./g, '').replace(',', '.') : v.replace(/,/g, ''));
+    return !v || isNaN(n) ? null : n;
+}
+
+function parseTransaction(t) {
+    return {
+        fitid: valueOf(t, 'FITID'),
+        type: valueOf(t, 'TRNTYPE'),
+        posted: ofxDate(valueOf(t, 'DTPOSTED')),
+        amount: ofxAmount(valueOf(t, 'TRNAMT')),
+        name: valueOf(t, 'NAME') || valueOf(t, 'PAYEE.NAME'),
+        memo: valueOf(t, 'MEMO'),
+        check_number: valueOf(t, 'CHECKNUM'),
+        ref_number: valueOf(t, 'REFNUM'),
+        currency: valueOf(t, 'CURRENCY.CURSYM') || valueOf(t, 'ORIGCURRENCY.CURSYM')
+    };
+}
+
+// Returns { header, statements }: header holds the SGML header fields (OFXHEADER, VERSION, ...), and each statement
+// (STMTRS for bank accounts, CCSTMTRS for credit cards) is
+// { kind, currency, account: { bank_id, branch_id, account_number, account_type }, period: { start, end },
+//   ledger_balance, ledger_balance_date, available_balance, available_balance_date, transactions }
+function parseOfx(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const header = {};
+    for (const line of text.slice(0, Math.max(0, text.search(/<OFX>/i))).split(/\r?\n/)) {
+        const m = /^\s*([A-Z]+):(.*)$/.exec(line);
+        if (m) header[m[1]] = m[2].trim();
+    }
+    const tree = parseTree(text);
+    const statements = [...findAll(tree, 'STMTRS'), ...findAll(tree, 'CCSTMTRS')].map((s) => {
+        const creditCard = s.tag === 'CCSTMTRS';
+        const acct = find(s, creditCard ? 'CCACCTFROM' : 'BANKACCTFROM') || { children: [] };
+        const list = find(s, 'BANKTRANLIST') || { children: [] };
+        return {
+            kind: creditCard ? 'creditcard' : 'bank',
+            currency: valueOf(s, 'CURDEF'),
+            account: {
+                bank_id: valueOf(acct, 'BANKID'),
+                branch_id: valueOf(acct, 'BRANCHID'),
+                account_number: valueOf(acct, 'ACCTID'),
+                account_type: creditCard ? 'CREDITCARD' : valueOf(acct, 'ACCTTYPE')
+            },
+            period: { start: ofxDate(valueOf(list, 'DTSTART')), end: ofxDate(valueOf(list, 'DTEND')) },
+            ledger_balance: ofxAmount(valueOf(s, 'LEDGERBAL.BALAMT')),
+            ledger_balance_date: ofxDate(valueOf(s, 'LEDGERBAL.DTASOF')),
+            available_balance: ofxAmount(valueOf(s, 'AVAILBAL.BALAMT')),
+            available_balance_date: ofxDate(valueOf(s, 'AVAILBAL.DTASOF')),
+            transactions: list.children.filter(c => c.tag === 'STMTTRN').map(parseTransaction)
+        };
+    });
+    return { header, statements };
+}
+
+module.exports = { looksLikeOfx, parseOfx };
@@ -0,0 +1,107 @@
+// Column-mapping profiles for CSV layouts the built-in header synonyms don't recognise. A profile maps source
+// headers to canonical fields and is applied automatically to files whose header fingerprint matches.
+const crypto = require('crypto');
+
+// Canonical field -> the header name parseBillsFromCsv looks for first
+const CANONICAL_FIELDS = {
+    vendor: 'Vendor',
+    ref: 'RefNumber',
+    item: 'Item',
+    qty: 'Qty',
+    cost: 'Cost',
+    date: 'Date',
+    terms: 'Terms',
+    description: 'Description',
+    tax_code: 'Purchase Tax Code',
+    tax_description: 'Purchase Tax Description',
+    tax_rate: 'Purchase Tax Rate'
+};
+const REQUIRED_FIELDS = ['vendor', 'ref', 'item', 'qty', 'cost'];
+
+// Order-insensitive, case-insensitive hash of a header row
+function headerFingerprint(headers) {
+    const norm = (headers || []).map(h => String(h).trim().toLowerCase()).filter(Boolean).sort();
+    return crypto.createHash('md5').update(norm.join('\n')).digest('hex');
+}
+
+// Parses a date in a fixed layout such as DD/MM/YYYY or YYYY.MM.DD into MM/DD/YYYY
+function parseDateWithFormat(value, format) {
+    const tokens = [];
+    const pattern = String(format).replace(/YYYY|YY|MM|M|DD|D|[.*+?^${}()|[\]\\]/g, (tok) => {
+        if (/^[YMD]+$/.test(tok)) {
+            tokens.push(tok);
+            return tok === 'YYYY' ? '(\\d{4})' : tok.length === 2 ? '(\\d{2})' : '(\\d{1,2})';
+        }
+        return '\\' + tok;
+    });
+    const m = String(value).trim().match(new RegExp(`^${pattern}`));
+    if (!m) return value;
+    const parts = {};
+    tokens.forEach((tok, i) => { parts[tok[0]] = m[i + 1]; if (tok === 'YY') parts.Y = `20${m[i + 1]}`; });
+    if (!parts.Y || !parts.M || !parts.D) return value;
+    return `${parts.M.padStart(2, '0')}/${parts.D.padStart(2, '0')}/${parts.Y}`;
+}
+
+// Transforms are applied left to right: trim, upper, lower, number, date:<format>, default:<value>, extract:<regex>
+function applyTransforms(value, transforms) {
+    let v = value == null ? '' : String(value);
+    for (const spec of [].concat(transforms || [])) {
+        const [name, ...rest] = String(spec).split(':');
+        const arg = rest.join(':');
+        switch (name) {
+            case 'trim': v = v.trim(); break;
+            case 'upper': v = v.toUpperCase(); break;
+            case 'lower': v = v.toLowerCase(); break;
+            case 'number': {
+                const neg = /^\(.*\)$/.test(v.trim());
+                v = v.replace(/[^0-9.-]/g, '');
+                if (neg && v && !v.startsWith('-')) v = `-${v}`;
+                break;
+            }
+            case 'date': if (v) v = parseDateWithFormat(v, arg); break;
+            case 'default': if (!v.trim()) v = arg; break;
+            case 'extract': {
+                const m = v.match(new RegExp(arg));
+                if (m) v = m[1] != null ? m[1] : m[0];
+                break;
+            }
+            default: throw new Error(`Unknown transform: ${spec}`);
+        }
+    }
+    return v;
+}
+
+function validateProfile(profile) {
+    if (!profile.name) throw new Error('name is required');
+    const mapping = profile.mapping || {};
+    for (const field of Object.keys(mapping)) {
+        if (!CANONICAL_FIELDS[field]) throw new Error(`Unknown field "${field}"; expected one of: ${Object.keys(CANONICAL_FIELDS).join(', ')}`);
+    }
+    const transforms = profile.transforms || {};
+    const missing = REQUIRED_FIELDS.filter(f => !mapping[f] && !(transforms[f] || []).toString().includes('default:'));
+    if (missing.length) throw new Error(`Mapping is missing required fields: ${missing.join(', ')}`);
+    for (const [field, specs] of Object.entries(transforms)) {
+        if (!CANONICAL_FIELDS[field]) throw new Error(`Unknown field "${field}" in transforms`);
+        applyTransforms('', specs);
+    }
+}
+
+// Rewrites rows so mapped columns appear under their canonical header; other columns pass through unchanged
+function applyProfile(profile, rows) {
+    const mapping = profile.mapping || {};
+    const transforms = profile.transforms || {};
+    return rows.map((row) => {
+        const out = {};
+        const mappedSources = new Set(Object.values(mapping));
+        for (const [k, v] of Object.entries(row)) {
+            if (!mappedSources.has(k)) out[k] = v;
+        }
+        for (const [field, header] of Object.entries(CANONICAL_FIELDS)) {
+            if (!mapping[field] && !transforms[field]) continue;
+            out[header] = applyTransforms(mapping[field] ? row[mapping[field]] : '', transforms[field]);
+        }
+        return out;
+    });
+}
+
+module.exports = { CANONICAL_FIELDS, headerFingerprint, applyTransforms, validateProfile, applyProfile };
@@ -0,0 +1,57 @@
+// Per-line account routing for bill splits. Rules are evaluated in priority order (lowest first) and the
+// first match wins; lines no rule matches fall back to the inventory_asset default.
+
+const RULE_FIELDS = ['item', 'item_group', 'asset_type', 'vendor', 'description'];
+
+// item/item_group/asset_type/vendor patterns are case-insensitive exact matches where "*" is a wildcard;
+// description patterns are case-insensitive regular expressions
+function compilePattern(field, pattern) {
+    const p = String(pattern || '');
+    if (field === 'description') return new RegExp(p, 'i');
+    const escaped = p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function validateRule(rule) {
+    if (!RULE_FIELDS.includes(rule.match_field)) {
+        throw new Error(`match_field must be one of: ${RULE_FIELDS.join(', ')}`);
+    }
+    if (!rule.pattern) throw new Error('pattern is required');
+    if (!rule.account) throw new Error('account is required');
+    try {
+        compilePattern(rule.match_field, rule.pattern);
+    } catch (err) {
+        throw new Error(`Invalid pattern: ${err.message}`);
+    }
+}
+
+function lineValue(field, bill, line) {
+    if (field === 'vendor') return bill.vendor || '';
+    return line[field] || '';
+}
+
+function resolveLineAccount(rules, bill, line, fallback) {
+    for (const rule of rules || []) {
+        if (rule.active === false) continue;
+        if (!rule._re) rule._re = compilePattern(rule.match_field, rule.pattern);
+        if (rule._re.test(lineValue(rule.match_field, bill, line))) return { account: rule.account, rule_id: rule.id };
+    }
+    return { account: fallback, rule_id: null };
+}
+
+// Sets line.account / line.account_rule_id on every line; used by the exporters and the import preview
+async function applyAccountRules(db, bills) {
+    const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+    const fallback = defaults.inventory_asset || 'Inventory Asset';
+    const rules = (await db.getAccountRules?.({ activeOnly: true })) || [];
+    for (const bill of bills || []) {
+        for (const line of bill.lines || []) {
+            const { account, rule_id } = resolveLineAccount(rules, bill, line, fallback);
+            line.account = account;
+            line.account_rule_id = rule_id;
+        }
+    }
+    return bills;
+}
+
+module.exports = { RULE_FIELDS, validateRule, resolveLineAccount, applyAccountRules };
@@ -0,0 +1,332 @@
+// Stripe balance transactions as bank lines and customer payments. The API backfill and the dashboard CSV importer
+// both go through balanceTransactionRecords, so a balance transaction (txn_...) always becomes the same external_id
+// on the 'Stripe' source, and importing it again by either route never adds a second bank line or payment.
+// Webhook events are mapped onto the same records and logged in stripe_events (see receiveStripeEvent).
+// Each bank line keeps the payout (po_...) that swept it to the bank, and payouts are stored in stripe_payouts, so a
+// payout can be exported as the single deposit the bank statement shows (see generatePayoutsIif).
+const crypto = require('crypto');
+const { normalizeCurrency } = require('./currency');
+
+// Currencies the Stripe API already counts in whole units (everything else is in cents)
+const ZERO_DECIMAL_CURRENCIES = new Set(['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF']);
+
+const toMajorUnits = (amount, currency) => (amount || 0) / (ZERO_DECIMAL_CURRENCIES.has(normalizeCurrency(currency)) ? 1 : 100);
+const unixDate = (seconds) => new Date((seconds || 0) * 1000);
+const idOf = (ref) => (ref && typeof ref === 'object' ? ref.id : ref) || null;
+
+// A balance transaction from the Stripe API (amounts in minor units, created in epoch seconds) in the shape
+// balanceTransactionRecords expects, which is also what the dashboard CSV holds
+function fromApiBalanceTransaction(bt) {
+    return {
+        id: bt.id,
+        type: bt.type,
+        source: idOf(bt.source),
+        amount: toMajorUnits(bt.amount, bt.currency),
+        fee: toMajorUnits(bt.fee, bt.currency),
+        net: toMajorUnits(bt.net, bt.currency),
+        currency: bt.currency,
+        created: unixDate(bt.created),
+        status: bt.status || null,
+        description: bt.description || '',
+        payout_id: idOf(bt.payout) || null,
+        raw: bt
+    };
+}
+
+// { txn, payment } for one balance transaction; payment is null unless it is a customer receipt
+function balanceTransactionRecords(bt) {
+    const txn = {
+        external_id: bt.id,
+        txn_date: bt.created,
+        amount: bt.net,
+        currency: normalizeCurrency(bt.currency),
+        description: `${bt.type} ${bt.source || ''}`.trim(),
+        memo: bt.description || '',
+        balance_after: null,
+        status: bt.status || null,
+        // Stripe's own fees are paid to Stripe as a vendor
+        payee: /fee$/.test(bt.type || '') ? 'Stripe' : null,
+        txn_type: bt.type || null,
+        gross_amount: bt.amount,
+        fee_amount: bt.fee,
+        // A payout's own balance transaction belongs to the payout it records
+        payout_id: bt.payout_id || (bt.type === 'payout' ? bt.source : null) || null,
+        raw: bt.raw
+    };
+    // Customer receipts also land in payments (gross, Stripe fee, net)
+    const payment = bt.type === 'charge' || bt.type === 'payment' ? {
+        external_id: bt.id,
+        payment_date: bt.created,
+        amount_gross: bt.amount,
+        fee_amount: bt.fee,
+        amount_net: bt.net,
+        currency: normalizeCurrency(bt.currency),
+        customer: bt.customer || null,
+        charge_id: /^(ch|py)_/.test(bt.source || '') ? bt.source : null,
+        method: 'stripe',
+        status: bt.status || null,
+        raw: bt.raw
+    } : null;
+    return { txn, payment };
+}
+
+// Payout records for the payouts the given bank lines (from balanceTransactionRecords) belong to. The amount and
+// arrival date come from the payout's own line when it is among them; otherwise they are left null and the
+// payout export falls back to its members (see getStripePayoutsForExport). dates maps payout id -> arrival date
+// for sources that report it separately (the payout reconciliation report).
+function payoutsFromTransactions(txns, dates = {}) {
+    const payouts = new Map();
+    for (const t of txns) {
+        if (!t.payout_id) continue;
+        const payout = payouts.get(t.payout_id) || { payout_id: t.payout_id, amount: null, currency: t.currency, arrival_date: dates[t.payout_id] || null };
+        if (t.txn_type === 'payout') {
+            payout.amount = -t.amount;
+            payout.arrival_date = payout.arrival_date || t.txn_date;
+            payout.status = t.status || null;
+            payout.description = t.memo || null;
+            payout.raw = t.raw;
+        }
+        payouts.set(t.payout_id, payout);
+    }
+    return [...payouts.values()];
+}
+
+// Problems to report before exporting payouts from getStripePayouts: a payout whose lines have not been imported, or
+// whose lines do not add up to the amount Stripe paid out (some of its balance transactions are missing), would not
+// match the bank statement.
+function payoutIssues(payouts) {
+    const errors = [];
+    const warnings = [];
+    for (const p of payouts || []) {
+        if (!p.line_count) {
+            errors.push(`Stripe payout ${p.payout_id} has no balance transactions; run the Stripe backfill or import its payout reconciliation CSV`);
+        } else if (p.amount != null && Math.abs(Number(p.amount) - Number(p.lines_net)) >= 0.005) {
+            errors.push(`Stripe payout ${p.payout_id} is ${Number(p.amount).toFixed(2)} but its ${p.line_count} balance transaction(s) net ${Number(p.lines_net).toFixed(2)}; some are missing`);
+        } else if (p.amount == null) {
+            warnings.push(`Stripe payout ${p.payout_id} amount is unknown; the deposit is the ${Number(p.lines_net).toFixed(2)} its balance transactions net to`);
+        }
+    }
+    return { errors, warnings };
+}
+
+// Stripe-Signature is "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${payload}` keyed by the endpoint secret>",
+// with more than one v1 while a secret is being rolled. Checked here rather than with the stripe package so webhooks
+// need only STRIPE_WEBHOOK_SECRET, and fixtures signed by signWebhookPayload verify the same way.
+function verifyWebhookSignature(payload, header, secret, { tolerance = 300, now = Date.now() } = {}) {
+    const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : payload;
+    if (typeof body !== 'string') throw new Error('Webhook payload must be the raw request body');
+    const parts = String(header || '').split(',').map(p => p.trim().split('='));
+    const timestamp = Number((parts.find(([k]) => k === 't') || [])[1]);
+    const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v || '');
+    if (!timestamp || !signatures.length) throw new Error('No signatures found in the Stripe-Signature header');
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+    if (!signatures.some(sig => sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)))) {
+        throw new Error('No signature matches the payload');
+    }
+    if (tolerance && Math.abs(now / 1000 - timestamp) > tolerance) throw new Error('Timestamp outside the tolerance zone');
+    return JSON.parse(body);
+}
+
+function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex')}`;
+}
+
+// Our invoice number for a Stripe invoice: metadata.invoice_number when it was raised from another system (HaloPSA),
+// otherwise Stripe's own number
+const invoiceNumberOf = (invoice) => (invoice && ((invoice.metadata && invoice.metadata.invoice_number) || invoice.number)) || null;
+
+function chargeCustomer(charge) {
+    const id = idOf(charge.customer);
+    if (!id) return null;
+    return { external_id: id, name: (charge.billing_details && charge.billing_details.name) || charge.receipt_email || id };
+}
+
+// Every handler writes through upserts keyed by Stripe IDs, so processing an event twice changes nothing. Handlers
+// are called with (db, object, event, stripe), stripe being the API client when STRIPE_SECRET_KEY is set.
+const WEBHOOK_HANDLERS = {
+    // A customer receipt: the payment (keyed by its balance transaction, like the backfill) and a ledger entry. With
+    // the balance transaction expanded the fee is known and the bank line is written too; otherwise the backfill or
+    // a CSV import adds them later.
+    'charge.succeeded': async (db, charge) => {
+        const invoiceNumber = (charge.metadata && charge.metadata.invoice_number) || invoiceNumberOf(await db.findStripeInvoiceForCharge(charge.id));
+        const bt = charge.balance_transaction;
+        const records = bt && typeof bt === 'object' ? balanceTransactionRecords(fromApiBalanceTransaction(bt)) : {};
+        const payment = {
+            external_id: idOf(bt) || charge.id,
+            payment_date: unixDate(charge.created),
+            amount_gross: toMajorUnits(charge.amount, charge.currency),
+            fee_amount: null,
+            amount_net: null,
+            currency: normalizeCurrency(charge.currency),
+            method: 'stripe',
+            status: charge.status || 'succeeded',
+            ...(records.payment || {}),
+            customer: chargeCustomer(charge),
+            charge_id: charge.id,
+            invoice_number: invoiceNumber,
+            raw: charge
+        };
+        await db.upsertPayments('Stripe', [payment]);
+        if (records.txn) await db.insertBankTransactions('Stripe', [records.txn]);
+        await db.recordLedgerTransaction('Stripe', {
+            external_id: charge.id,
+            txn_type: 'payment',
+            txn_date: payment.payment_date,
+            amount: payment.amount_gross,
+            currency: payment.currency,
+            description: charge.description || `Charge ${charge.id}`,
+            counterparty: payment.customer ? payment.customer.name : null,
+            status: payment.status,
+            raw: charge
+        });
+        return { payments: 1, bank_transactions: records.txn ? 1 : 0 };
+    },
+
+    // One negative bank line per refund, keyed by the refund's balance transaction so the backfill does not repeat it.
+    // Current API versions leave charge.refunds out of the payload, so the refunds are listed from the API; without
+    // an API client only a ledger entry is recorded and the bank line is left to the backfill or CSV import.
+    'charge.refunded': async (db, charge, event, stripe) => {
+        let refunds = charge.refunds && charge.refunds.data;
+        if (!refunds && stripe) {
+            refunds = [];
+            for await (const r of stripe.refunds.list({ charge: charge.id, limit: 100 })) refunds.push(r);
+        }
+        const txns = (refunds || []).map(r => balanceTransactionRecords({
+            id: idOf(r.balance_transaction) || r.id,
+            type: 'refund',
+            source: r.id,
+            amount: -toMajorUnits(r.amount, r.currency || charge.currency),
+            fee: 0,
+            net: -toMajorUnits(r.amount, r.currency || charge.currency),
+            currency: r.currency || charge.currency,
+            created: unixDate(r.created),
+            status: r.status || null,
+            description: r.reason || `Refund of ${charge.id}`,
+            raw: r
+        }).txn);
+        let ledger = 0;
+        if (!refunds) {
+            const previous = (event.data.previous_attributes && event.data.previous_attributes.amount_refunded) || 0;
+            const refunded = toMajorUnits((charge.amount_refunded || 0) - previous, charge.currency);
+            if (refunded > 0) {
+                const customer = chargeCustomer(charge);
+                await db.recordLedgerTransaction('Stripe', {
+                    external_id: event.id,
+                    txn_type: 'refund',
+                    txn_date: unixDate(event.created),
+                    amount: -refunded,
+                    currency: charge.currency,
+                    description: `Refund of ${charge.id}`,
+                    counterparty: customer ? customer.name : null,
+                    raw: charge
+                });
+                ledger = 1;
+            }
+        }
+        if (txns.length) await db.insertBankTransactions('Stripe', txns);
+        const payments = await db.updatePaymentsByCharge('Stripe', charge.id, { status: charge.refunded ? 'refunded' : 'partially_refunded' });
+        return { bank_transactions: txns.length, ledger_transactions: ledger, payments };
+    },
+
+    // Money leaving the Stripe balance for the bank account, dated when it arrives. The payout itself is recorded
+    // too; the balance transactions it swept are tied to it by the backfill or a payout reconciliation CSV.
+    'payout.paid': async (db, payout) => {
+        const amount = toMajorUnits(payout.amount, payout.currency);
+        const { txn } = balanceTransactionRecords({
+            id: idOf(payout.balance_transaction) || payout.id,
+            type: 'payout',
+            source: payout.id,
+            amount: -amount,
+            fee: 0,
+            net: -amount,
+            currency: payout.currency,
+            created: unixDate(payout.arrival_date || payout.created),
+            status: payout.status || 'paid',
+            description: payout.description || payout.statement_descriptor || '',
+            raw: payout
+        });
+        await db.insertBankTransactions('Stripe', [txn]);
+        await db.upsertStripePayouts([{
+            payout_id: payout.id,
+            amount,
+            currency: payout.currency,
+            arrival_date: txn.txn_date,
+            status: txn.status,
+            description: txn.memo || null,
+            raw: payout
+        }]);
+        return { bank_transactions: 1, payouts: 1 };
+    },
+
+    // Ledger entry for the invoice, and the charge's payment is applied to it
+    'invoice.paid': async (db, invoice) => {
+        const number = invoiceNumberOf(invoice);
+        await db.recordLedgerTransaction('Stripe', {
+            external_id: invoice.id,
+            txn_type: 'invoice_payment',
+            txn_date: unixDate((invoice.status_transitions && invoice.status_transitions.paid_at) || invoice.created),
+            amount: toMajorUnits(invoice.amount_paid, invoice.currency),
+            currency: invoice.currency,
+            description: `Invoice ${number || invoice.id} paid`,
+            counterparty: invoice.customer_name || invoice.customer_email || idOf(invoice.customer),
+            status: invoice.status || 'paid',
+            raw: invoice
+        });
+        const payments = invoice.charge && number ? await db.updatePaymentsByCharge('Stripe', idOf(invoice.charge), { invoice_number: number }) : 0;
+        return { payments };
+    },
+
+    // Snapshot of the available balance, one ledger entry per currency
+    'balance.available': async (db, balance, event) => {
+        const available = balance.available || [];
+        for (const b of available) {
+            await db.recordLedgerTransaction('Stripe', {
+                external_id: `${event.id}:${b.currency}`,
+                txn_type: 'stripe_balance',
+                txn_date: unixDate(event.created),
+                amount: toMajorUnits(b.amount, b.currency),
+                currency: b.currency,
+                description: 'Stripe available balance',
+                status: 'available',
+                raw: b
+            });
+        }
+        return { balances: available.length };
+    }
+};
+
+const WEBHOOK_EVENT_TYPES = Object.keys(WEBHOOK_HANDLERS);
+
+// Logs the event in stripe_events and processes it unless it already was (Stripe redelivers events). replay
+// processes a stored event again; stripe is the API client handlers may use to fetch what a payload leaves out.
+// A failed event is marked failed with the error and rethrown, so the webhook
+// answers 500 and Stripe retries it.
+async function receiveStripeEvent(db, event, { replay = false, stripe = null } = {}) {
+    const stored = await db.recordStripeEvent(event);
+    if (!replay && ['processed', 'ignored'].includes(stored.status)) return { event_id: event.id, status: stored.status, duplicate: true };
+    const handler = WEBHOOK_HANDLERS[event.type];
+    if (!handler) {
+        await db.markStripeEvent(event.id, 'ignored');
+        return { event_id: event.id, status: 'ignored', duplicate: false };
+    }
+    try {
+        const result = await handler(db, event.data.object, event, stripe);
+        await db.markStripeEvent(event.id, 'processed');
+        return { event_id: event.id, status: 'processed', duplicate: false, result };
+    } catch (err) {
+        await db.markStripeEvent(event.id, 'failed', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    fromApiBalanceTransaction,
+    balanceTransactionRecords,
+    payoutsFromTransactions,
+    payoutIssues,
+    verifyWebhookSignature,
+    signWebhookPayload,
+    WEBHOOK_EVENT_TYPES,
+    receiveStripeEvent
+};
@@ -0,0 +1,61 @@
+// Purchase tax on PO bill lines. A line's rate comes from its Purchase Tax Rate column (a percentage); a line that
+// carries only a Purchase Tax Code takes the rate and description from the tax_codes table. Tax is computed per line
+// and rounded to cents, then summed per code into bill.tax_lines so the exporters can post one split per code.
+// Bills with no taxed lines are left exactly as parsed.
+
+function parseTaxRate(value) {
+    if (value == null || String(value).trim() === '') return null;
+    const n = Number(String(value).replace(/[^0-9.-]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+function validateTaxCode(taxCode) {
+    if (!taxCode.code) throw new Error('code is required');
+    const rate = parseTaxRate(taxCode.rate);
+    if (rate == null || rate < 0 || rate > 100) throw new Error('rate must be a percentage between 0 and 100');
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Sets line.tax_rate / line.tax_amount and bill.subtotal / tax_total / tax_lines, and adds the tax to
+// bill.total_amount. Recomputed from the line amounts each time, so it is safe to apply more than once.
+async function applyPurchaseTax(db, bills) {
+    const defaults = (await db.getDefaultQbdAccounts?.()) || {};
+    const fallback = defaults.purchase_tax || defaults.sales_tax_payable || 'Sales Tax Payable';
+    const codes = new Map(((await db.getTaxCodes?.({ activeOnly: true })) || []).map(c => [String(c.code).toLowerCase(), c]));
+
+    for (const bill of bills || []) {
+        const byCode = new Map();
+        let subtotal = 0;
+        for (const line of bill.lines || []) {
+            subtotal += Number(line.line_amount || 0);
+            const def = line.tax_code ? codes.get(String(line.tax_code).toLowerCase()) : null;
+            const rate = line.tax_rate != null ? Number(line.tax_rate) : def ? Number(def.rate) : null;
+            if (rate == null) continue;
+            line.tax_rate = rate;
+            line.tax_description = line.tax_description || (def && def.description) || null;
+            line.tax_amount = round2(Number(line.line_amount || 0) * rate / 100);
+
+            const key = line.tax_code ? String(line.tax_code).toLowerCase() : `${rate}%`;
+            if (!byCode.has(key)) {
+                byCode.set(key, {
+                    code: line.tax_code || null,
+                    description: line.tax_description || line.tax_code || `Purchase tax ${rate}%`,
+                    rate,
+                    amount: 0,
+                    account: (def && def.account) || fallback
+                });
+            }
+            byCode.get(key).amount += line.tax_amount;
+        }
+        if (!byCode.size) continue;
+
+        bill.tax_lines = [...byCode.values()].map(t => ({ ...t, amount: round2(t.amount) })).filter(t => t.amount !== 0);
+        bill.subtotal = round2(subtotal);
+        bill.tax_total = round2(bill.tax_lines.reduce((sum, t) => sum + t.amount, 0));
+        bill.total_amount = round2(bill.subtotal + bill.tax_total);
+    }
+    return bills;
+}
+
+module.exports = { parseTaxRate, validateTaxCode, applyPurchaseTax };
@@ -0,0 +1,100 @@
+// Payment terms: due-date and early-payment discount calculation shared by the bill parser and the exporters.
+// Terms are looked up by name in the payment_terms catalogue first; names not in the catalogue are parsed from the
+// usual spellings ("Net 30", "2% 10 Net 30", "EOM", "Net 15th of following month", "COD").
+//   net             due `days` after the bill date
+//   day_of_month    due on day `days` of the month after the bill date (QuickBooks "date driven" terms)
+//   eom             due on the last day of the bill date's month
+//   due_on_receipt  due on the bill date
+// A discount of discount_percent applies when paid within discount_days (for day_of_month terms, by that day of the
+// following month).
+const dayjs = require('dayjs');
+
+const TERM_TYPES = ['net', 'day_of_month', 'eom', 'due_on_receipt'];
+const DEFAULT_TERMS = 'Due upon receipt';
+
+function parseTermsName(name) {
+    const t = String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!t) return null;
+    let m;
+    if (/^(due (up)?on receipt|(up)?on receipt|receipt|cod|c\.o\.d\.?|cash on delivery|cia|cash in advance|prepaid)$/.test(t)) {
+        return { rule_type: 'due_on_receipt', days: 0 };
+    }
+    if ((m = t.match(/^(\d+(?:\.\d+)?) ?[%/] ?(\d+),? ?(?:days?,? ?)?net ?(\d+)(?: days?)?$/))) {
+        return { rule_type: 'net', days: Number(m[3]), discount_percent: Number(m[1]), discount_days: Number(m[2]) };
+    }
+    if ((m = t.match(/^net ?(\d+)(?: days?)?$/) || t.match(/^(\d+) days?$/))) {
+        return { rule_type: 'net', days: Number(m[1]) };
+    }
+    if ((m = t.match(/^(?:net ?)?(?:due ?)?(?:on ?)?(?:the ?)?(\d{1,2})(?:st|nd|rd|th)? (?:day )?(?:of )?(?:the )?(?:following|next) month$/))) {
+        return { rule_type: 'day_of_month', days: Number(m[1]) };
+    }
+    if (/^(net ?)?(eom|end of month)$/.test(t)) {
+        return { rule_type: 'eom', days: 0 };
+    }
+    return null;
+}
+
+function validateTerms(terms) {
+    if (!terms.name) throw new Error('name is required');
+    if (!TERM_TYPES.includes(terms.rule_type)) throw new Error(`rule_type must be one of: ${TERM_TYPES.join(', ')}`);
+    const days = Number(terms.days || 0);
+    if (!Number.isInteger(days) || days < 0) throw new Error('days must be a whole number of days');
+    if (terms.rule_type === 'day_of_month' && (days < 1 || days > 31)) throw new Error('days must be a day of the month (1-31) for day_of_month terms');
+    const pct = Number(terms.discount_percent || 0);
+    if (isNaN(pct) || pct < 0 || pct >= 100) throw new Error('discount_percent must be between 0 and 100');
+    if (pct && !(Number(terms.discount_days) > 0)) throw new Error('discount_days is required with a discount');
+}
+
+// Catalogue entry by case-insensitive name, else the parsed name, else null (unrecognised)
+function resolveTerms(catalogue, name) {
+    const key = String(name || '').trim().toLowerCase();
+    const entry = (catalogue || []).find(c => String(c.name).toLowerCase() === key);
+    return entry || parseTermsName(name);
+}
+
+function shiftDate(d, ruleType, days) {
+    switch (ruleType) {
+        case 'net': return d.add(Number(days) || 0, 'day');
+        case 'eom': return d.endOf('month').startOf('day');
+        case 'day_of_month': {
+            const next = d.add(1, 'month').startOf('month');
+            return next.date(Math.min(Number(days) || 1, next.daysInMonth()));
+        }
+        default: return d;
+    }
+}
+
+function dueDate(rule, dateStr) {
+    const d = dayjs(dateStr);
+    if (!rule || !dateStr || !d.isValid()) return dateStr || '';
+    return shiftDate(d, rule.rule_type, rule.days).format('MM/DD/YYYY');
+}
+
+function discountDate(rule, dateStr) {
+    const d = dayjs(dateStr);
+    if (!rule || !Number(rule.discount_percent) || !dateStr || !d.isValid()) return null;
+    return shiftDate(d, rule.rule_type === 'day_of_month' ? 'day_of_month' : 'net', rule.discount_days).format('MM/DD/YYYY');
+}
+
+// Fills bill.terms (vendor default, then "Due upon receipt", when the source gave none) and sets due_date,
+// discount_date and discount_percent from the bill date, or the vendor invoice date once a receipt is billed.
+// With recompute false (the exporters), a stored due date is kept unless it just repeats the bill date, which is
+// what the old Net-only parser fell back to for terms it did not understand.
+async function applyTerms(db, bills, { recompute = true } = {}) {
+    const catalogue = (await db.getPaymentTerms?.({ activeOnly: true })) || [];
+    const vendorTerms = new Map(((await db.getVendorTerms?.()) || []).map(v => [String(v.vendor_name).toLowerCase(), v.terms_name]));
+    for (const bill of bills || []) {
+        if (!bill.terms) bill.terms = vendorTerms.get(String(bill.vendor || '').toLowerCase()) || DEFAULT_TERMS;
+        const rule = resolveTerms(catalogue, bill.terms);
+        bill.terms_recognized = !!rule;
+        if (!rule) continue;
+        const base = bill.vendor_invoice_date ? dayjs(bill.vendor_invoice_date).format('MM/DD/YYYY') : bill.date;
+        const stale = !bill.due_date || dayjs(bill.due_date).isSame(dayjs(base), 'day');
+        if (recompute || stale) bill.due_date = dueDate(rule, base);
+        bill.discount_percent = Number(rule.discount_percent) || 0;
+        bill.discount_date = discountDate(rule, base);
+    }
+    return bills;
+}
+
+module.exports = { TERM_TYPES, DEFAULT_TERMS, parseTermsName, validateTerms, resolveTerms, dueDate, discountDate, applyTerms };
@@ -0,0 +1,164 @@
+const dayjs = require('dayjs');
+const { unquote } = require('./iif');
+
+// QuickBooks Desktop field limits
+const NAME_MAX = 41;        // vendor, customer and other name lists
+const ITEM_MAX = 31;        // item names
+const ACCOUNT_MAX = 31;     // each segment of an account name (Parent:Child)
+
+function isValidIifDate(value) {
+    const m = String(value || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!m) return false;
+    const [, mm, dd, yyyy] = m.map(Number);
+    const d = dayjs(new Date(yyyy, mm - 1, dd));
+    return d.isValid() && d.month() === mm - 1 && d.date() === dd;
+}
+
+function cents(value) {
+    const n = Number(String(value || '0').replace(/,/g, ''));
+    return isNaN(n) ? NaN : Math.round(n * 100);
+}
+
+// Split the raw IIF into documents (one per TRNS..ENDTRNS block or list record), keeping the raw cells so
+// stray tabs and quotes that a parser would hide can still be reported.
+function splitDocuments(content) {
+    const headers = {};
+    const documents = [];
+    const general = [];
+    let current = null;
+
+    String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, idx) => {
+        if (!line.trim()) return;
+        const cells = line.split('\t');
+        const tag = unquote(cells[0]).toUpperCase();
+        const lineNo = idx + 1;
+
+        if (tag.startsWith('!')) {
+            headers[tag.slice(1)] = cells.slice(1).map(c => unquote(c).toUpperCase());
+            return;
+        }
+        if (tag === 'ENDTRNS') {
+            if (current) { current.closed = true; documents.push(current); }
+            current = null;
+            return;
+        }
+        const cols = headers[tag];
+        if (!cols) {
+            general.push(`Line ${lineNo}: "${tag.slice(0, 20)}" is not a known record (a field may contain a line break)`);
+            return;
+        }
+        const row = { tag, line: lineNo, cells, cols, record: {} };
+        cols.forEach((col, i) => { if (col) row.record[col] = unquote(cells[i + 1]); });
+
+        if (tag === 'HDR') return;
+        if (tag === 'TRNS') {
+            if (current) documents.push(current);
+            current = { kind: 'TRNS', line: lineNo, rows: [row], closed: false };
+        } else if (tag === 'SPL') {
+            if (!current) general.push(`Line ${lineNo}: SPL outside of a TRNS block`);
+            else current.rows.push(row);
+        } else {
+            documents.push({ kind: tag, line: lineNo, rows: [row], closed: true });
+        }
+    });
+    if (current) documents.push(current);
+    return { documents, general };
+}
+
+function checkRawFields(row, errors) {
+    if (row.cells.length - 1 > row.cols.length) {
+        errors.push(`Line ${row.line}: ${row.cells.length - 1 - row.cols.length} extra column(s); a field contains a tab`);
+    }
+    for (const [col, value] of Object.entries(row.record)) {
+        if (value.includes('"')) errors.push(`Line ${row.line}: ${col} contains a quote character`);
+    }
+}
+
+function checkAccount(name, knownAccounts, row, errors) {
+    if (!name) {
+        errors.push(`Line ${row.line}: ${row.tag} has no ACCNT`);
+        return;
+    }
+    if (name.split(':').some(seg => seg.length > ACCOUNT_MAX)) {
+        errors.push(`Line ${row.line}: account "${name}" exceeds ${ACCOUNT_MAX} characters per segment`);
+    }
+    if (knownAccounts && !knownAccounts.has(name.toLowerCase())) {
+        errors.push(`Line ${row.line}: account "${name}" does not exist in qbd_accounts`);
+    }
+}
+
+// Validates a generated IIF document before it is handed to QuickBooks. Returns
+// { valid, errors, warnings, documents: [{ type, line, docnum, name, errors, warnings }], general }
+// where valid is false whenever any error was found.
+async function validateIif(db, content) {
+    const { documents, general } = splitDocuments(content);
+    const generalWarnings = [];
+
+    const configured = (await db.getQbdAccounts?.()) || [];
+    let knownAccounts = null;
+    if (configured.length) {
+        knownAccounts = new Set(configured.map(a => String(a.name).toLowerCase()));
+        // Accounts defined by an !ACCNT list in the same file will exist by the time transactions import
+        for (const doc of documents) {
+            if (doc.kind === 'ACCNT' && doc.rows[0].record.NAME) knownAccounts.add(doc.rows[0].record.NAME.toLowerCase());
+        }
+    } else {
+        generalWarnings.push('No QuickBooks accounts are configured; account names were not checked');
+    }
+
+    const results = documents.map((doc) => {
+        const errors = [];
+        const warnings = [];
+        const head = doc.rows[0].record;
+        doc.rows.forEach(row => checkRawFields(row, errors));
+
+        if (doc.kind === 'TRNS') {
+            if (!doc.closed) errors.push(`Line ${doc.line}: TRNS block has no ENDTRNS`);
+            if (doc.rows.length < 2) errors.push(`Line ${doc.line}: transaction has no SPL lines`);
+            let total = 0;
+            for (const row of doc.rows) {
+                const r = row.record;
+                const amt = cents(r.AMOUNT);
+                if (isNaN(amt)) errors.push(`Line ${row.line}: AMOUNT "${r.AMOUNT}" is not a number`);
+                else total += amt;
+                checkAccount(r.ACCNT, knownAccounts, row, errors);
+                if (!isValidIifDate(r.DATE)) errors.push(`Line ${row.line}: DATE "${r.DATE || ''}" is not a valid MM/DD/YYYY date`);
+                if (r.DUEDATE && !isValidIifDate(r.DUEDATE)) errors.push(`Line ${row.line}: DUEDATE "${r.DUEDATE}" is not a valid MM/DD/YYYY date`);
+                if (r.NAME && r.NAME.length > NAME_MAX) errors.push(`Line ${row.line}: name "${r.NAME}" exceeds ${NAME_MAX} characters`);
+                if (r.INVITEM && r.INVITEM.length > ITEM_MAX) errors.push(`Line ${row.line}: item "${r.INVITEM}" exceeds ${ITEM_MAX} characters`);
+            }
+            if (!isNaN(total) && total !== 0) errors.push(`Line ${doc.line}: TRNS and SPL amounts do not balance (off by ${(total / 100).toFixed(2)})`);
+            if (!head.NAME && ['BILL', 'INVOICE', 'PAYMENT', 'ITEM RECEIPT'].includes(String(head.TRNSTYPE).toUpperCase())) {
+                warnings.push(`Line ${doc.line}: ${head.TRNSTYPE} has no NAME`);
+            }
+        } else {
+            const name = head.NAME || '';
+            if (!name) errors.push(`Line ${doc.line}: ${doc.kind} record has no NAME`);
+            else if (doc.kind === 'INVITEM' && name.length > ITEM_MAX) errors.push(`Line ${doc.line}: item "${name}" exceeds ${ITEM_MAX} characters`);
+            else if (doc.kind === 'ACCNT' && name.split(':').some(seg => seg.length > ACCOUNT_MAX)) errors.push(`Line ${doc.line}: account "${name}" exceeds ${ACCOUNT_MAX} characters per segment`);
+            else if (name.length > NAME_MAX) errors.push(`Line ${doc.line}: name "${name}" exceeds ${NAME_MAX} characters`);
+        }
+
+        return {
+            type: doc.kind === 'TRNS' ? String(head.TRNSTYPE || 'TRNS') : doc.kind,
+            line: doc.line,
+            docnum: head.DOCNUM || null,
+            name: head.NAME || null,
+            errors,
+            warnings
+        };
+    });
+
+    const errorCount = general.length + results.reduce((n, d) => n + d.errors.length, 0);
+    const warningCount = generalWarnings.length + results.reduce((n, d) => n + d.warnings.length, 0);
+    return {
+        valid: errorCount === 0,
+        errors: errorCount,
+        warnings: warningCount,
+        general: { errors: general, warnings: generalWarnings },
+        documents: results.filter(d => d.errors.length || d.warnings.length),
+        document_count: results.length
+    };
+}
+
+module.exports = { validateIif, isValidIifDate };
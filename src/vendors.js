@@ -0,0 +1,60 @@
+// Vendor master. Every vendor name seen in an import is reduced to a match key (case, punctuation and legal
+// suffixes such as Inc/LLC/Ltd removed) and looked up in vendor_aliases, so "Ingram Micro", "INGRAM MICRO INC" and
+// "Ingram Micro, Inc." resolve to one vendor. Exports always use the vendor's qb_name, the name QuickBooks knows
+// it by; vendors merged into another resolve to the surviving vendor.
+
+const LEGAL_SUFFIXES = new Set([
+    'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+    'plc', 'pty', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'srl'
+]);
+
+function vendorMatchKey(name) {
+    const words = String(name || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+    if (words[0] === 'the' && words.length > 1) words.shift();
+    // Strip trailing legal suffixes ("Acme Holdings Co Ltd" -> "acme holdings"), keeping at least one word
+    while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+    return words.join(' ');
+}
+
+// Resolves (and creates when new) each bill's vendor, replacing bill.vendor with the canonical QuickBooks name.
+// The name as it appeared in the source is kept in bill.vendor_source_name when it differs.
+async function resolveBillVendors(db, bills, sourceName) {
+    const resolved = await db.resolveVendors(sourceName, (bills || []).map(b => b.vendor));
+    for (const bill of bills || []) {
+        const match = resolved.get(bill.vendor);
+        if (!match) continue;
+        if (match.qb_name !== bill.vendor) bill.vendor_source_name = bill.vendor;
+        bill.vendor = match.qb_name;
+        bill.vendor_id = match.id;
+    }
+    return bills;
+}
+
+// Bank and Stripe lines: money paid out (amount < 0) to a named payee resolves that payee to a vendor
+async function resolvePayeeVendors(db, sourceName, txns) {
+    const payees = (txns || []).filter(t => t.payee && Number(t.amount) < 0);
+    const resolved = await db.resolveVendors(sourceName, payees.map(t => t.payee));
+    for (const t of payees) {
+        const match = resolved.get(t.payee);
+        if (match) t.vendor_id = match.id;
+    }
+    return txns;
+}
+
+// Read-only variant for the exporters: rewrites known vendor names to their canonical name, leaves others as is
+async function applyVendorNames(db, bills) {
+    const known = (await db.lookupVendors?.((bills || []).map(b => b.vendor))) || new Map();
+    for (const bill of bills || []) {
+        const match = known.get(bill.vendor);
+        if (match) bill.vendor = match.qb_name;
+    }
+    return bills;
+}
+
+module.exports = { vendorMatchKey, resolveBillVendors, resolvePayeeVendors, applyVendorNames };